@@ -7,6 +7,12 @@ const googleDrive = require('./services/google_drive');
 const youtube = require('./services/youtube');
 const transcription = require('./services/transcription');
 const queueManager = require('./services/queue_manager');
+const interviewMatcher = require('./services/interview_matcher');
+const folderWatcher = require('./services/folder_watcher');
+const oauthLoopback = require('./services/oauth_loopback');
+const googleAuth = require('./services/google_auth');
+const secrets = require('./services/secrets');
+const profiles = require('./services/profiles');
 const fs = require('fs');
 require('dotenv').config();
 
@@ -31,36 +37,386 @@ function createWindow() {
   mainWindow.webContents.openDevTools();
 }
 
-app.whenReady().then(async () => {
-  createWindow();
+// Google account state shown in the status bar, per service:
+// 'connected', 'disconnected' or 'revoked' (needs re-authentication)
+const authState = {
+  drive: { status: 'disconnected', error: null },
+  youtube: { status: 'disconnected', error: null }
+};
+
+// Plaintext token files from earlier versions. Only read when the OS offers
+// no encryption and the files could not be migrated into secrets.
+const TOKEN_FILES = {
+  drive: 'google_tokens.json',
+  youtube: 'youtube_tokens.json',
+  combined: 'google_combined_tokens.json'
+};
+
+const CREDENTIAL_FILES = {
+  drive: 'google_credentials.json',
+  youtube: 'youtube_credentials.json',
+  combined: 'google_credentials.json'
+};
+
+const GOOGLE_CLIENTS = { drive: googleDrive, youtube };
+
+/**
+ * Drive and YouTube share one OAuth client and consent when the
+ * googleAccounts setting is 'combined'; otherwise each signs in separately
+ */
+function isCombinedGoogleAuth() {
+  return getEffectiveConfig().googleAccounts === 'combined';
+}
 
-  // Auto-login to API from .env
-  if (process.env.API_BASE_URL && process.env.API_EMAIL && process.env.API_PASSWORD) {
-    console.log('📦 Auto-authenticating to API from .env...');
+/**
+ * The saved app settings with the active profile's settings on top. Empty
+ * profile fields fall back to .env.
+ */
+function getEffectiveConfig() {
+  const config = store.get('config') || {};
+  const profile = profiles.getActive() || {};
 
-    apiAuth.initialize(
-      process.env.API_BASE_URL,
-      process.env.API_EMAIL,
-      process.env.API_PASSWORD
-    );
+  return {
+    ...config,
+    profileId: profiles.activeId,
+    apiBaseUrl: profile.apiBaseUrl || process.env.API_BASE_URL || null,
+    driveFolderId: profile.driveFolderId || process.env.GOOGLE_DRIVE_FOLDER_ID || null,
+    transcriptFolderId: profile.transcriptFolderId || process.env.TRANSCRIPT_DRIVE_FOLDER_ID || null,
+    compressedStorage: profile.compressedStorage || config.compressedStorage,
+    googleAccounts: profile.googleAccounts || config.googleAccounts
+  };
+}
+
+/**
+ * Point the API client at the active profile's environment. .env
+ * credentials only apply to the default profile; others use the login form.
+ */
+function initApi() {
+  const { apiBaseUrl } = getEffectiveConfig();
+  const useEnv = profiles.isDefault(profiles.activeId);
+
+  apiAuth.initialize(
+    apiBaseUrl,
+    useEnv ? process.env.API_EMAIL : null,
+    useEnv ? process.env.API_PASSWORD : null
+  );
+
+  apiClient.initialize(apiBaseUrl);
+}
+
+/**
+ * Log in with saved or .env credentials, if there are any
+ */
+async function autoLoginApi() {
+  initApi();
+
+  if (!getEffectiveConfig().apiBaseUrl || !apiAuth.hasCredentials()) {
+    return false;
+  }
+
+  console.log('📦 Auto-authenticating to API...');
+
+  const result = await apiAuth.login();
+  if (result.success) {
+    console.log('✅ API authentication successful');
+    console.log('👤 Team:', result.team);
+  } else {
+    console.error('❌ API authentication failed:', result.error);
+  }
+
+  return result.success;
+}
+
+// Which credentials file and tokens a service uses under the current setting
+function getAuthKey(service) {
+  return isCombinedGoogleAuth() ? 'combined' : service;
+}
+
+function getCredentialsPath(service) {
+  return path.join(__dirname, 'config', CREDENTIAL_FILES[getAuthKey(service)]);
+}
+
+/**
+ * Saved Google tokens for a service, or null if it has never been authorized
+ */
+function readGoogleTokens(service) {
+  const key = getAuthKey(service);
+  const tokens = secrets.get(`google-tokens:${key}`);
+
+  if (tokens) {
+    return tokens;
+  }
+
+  // Token files predate profiles, so they belong to the default one
+  const legacyPath = path.join(__dirname, 'config', TOKEN_FILES[key]);
+  if (profiles.isDefault(profiles.activeId) && fs.existsSync(legacyPath)) {
+    return JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+  }
+
+  return null;
+}
+
+function saveGoogleTokens(key, tokens) {
+  secrets.set(`google-tokens:${key}`, tokens);
+}
+
+function setAuthState(service, status, error = null) {
+  authState[service] = { status, error };
+
+  if (mainWindow) {
+    mainWindow.webContents.send('auth-state-update', authState);
+  }
+}
+
+/**
+ * Returns an onTokens handler that saves refreshed tokens, so a restart
+ * doesn't fall back to the access token from consent time
+ */
+function persistTokens(key) {
+  return (tokens) => {
+    try {
+      saveGoogleTokens(key, tokens);
+      console.log(`🔄 Saved refreshed ${key} token`);
+    } catch (error) {
+      console.error(`Failed to save refreshed ${key} token:`, error.message);
+    }
+  };
+}
+
+/**
+ * Pre-flight check run before the queue starts uploading. Blocks the run only
+ * when a token is missing or revoked; an unreachable Google is left to the
+ * upload retries.
+ */
+async function checkGoogleAuth(services) {
+  const problems = [];
+
+  for (const service of services) {
+    const result = await GOOGLE_CLIENTS[service].checkAuth();
+
+    if (result.valid) {
+      setAuthState(service, 'connected');
+    } else if (result.valid === false) {
+      setAuthState(service, result.revoked ? 'revoked' : 'disconnected', result.error);
+      problems.push(`${service}: ${result.error}`);
+    }
+  }
+
+  return { ok: problems.length === 0, problems };
+}
+
+/**
+ * Called after a successful (re-)authentication. Resumes the queue if it was
+ * paused waiting for credentials.
+ */
+function onGoogleAuthenticated(service) {
+  setAuthState(service, 'connected');
 
-    apiClient.initialize(process.env.API_BASE_URL);
+  if (queueManager.getPauseReason() === 'auth') {
+    queueManager.resume();
+  }
+}
 
-    const result = await apiAuth.login();
-    if (result.success) {
-      console.log('✅ API authentication successful');
-      console.log('👤 Team:', result.team);
+/**
+ * Hand one OAuth client to both Drive and YouTube. A service whose scopes
+ * were unticked on the consent screen stays disconnected.
+ */
+function applyCombinedClient(credentials, tokens, onConnected) {
+  const client = googleAuth.createClient(credentials, tokens, { onTokens: persistTokens('combined') });
+
+  for (const [service, module] of Object.entries(GOOGLE_CLIENTS)) {
+    if (googleAuth.hasScopes(tokens, module.SCOPES)) {
+      module.setAuthClient(client);
+      onConnected(service);
     } else {
-      console.error('❌ API authentication failed:', result.error);
+      setAuthState(service, 'disconnected', `${service === 'drive' ? 'Drive' : 'YouTube'} access was not granted`);
     }
   }
+}
 
-  // Initialize queue manager with config
-  const config = store.get('config') || {};
+/**
+ * Save tokens from a finished consent flow and start using them
+ */
+async function completeGoogleAuth(service, credentials, tokens) {
+  saveGoogleTokens(getAuthKey(service), tokens);
+
+  if (isCombinedGoogleAuth()) {
+    applyCombinedClient(credentials, tokens, onGoogleAuthenticated);
+    return;
+  }
+
+  await GOOGLE_CLIENTS[service].authenticate(credentials, tokens, { onTokens: persistTokens(service) });
+  onGoogleAuthenticated(service);
+}
+
+/**
+ * Begin a consent flow. Prefers a loopback redirect that captures the code
+ * automatically; falls back to the copy/paste flow when the loopback server
+ * can't be started. Returns { authUrl, loopback, pending }.
+ */
+async function startGoogleAuth(service, credentials) {
+  const client = GOOGLE_CLIENTS[service];
+  const scopes = isCombinedGoogleAuth()
+    ? [...googleDrive.SCOPES, ...youtube.SCOPES, ...youtube.OPTIONAL_SCOPES]
+    : [...client.SCOPES, ...(client.OPTIONAL_SCOPES || [])];
+
+  try {
+    const flow = await oauthLoopback.startLoopbackFlow(credentials, scopes);
+    return { authUrl: flow.authUrl, loopback: true, pending: { credentials, flow } };
+  } catch (error) {
+    if (error.code !== 'LOOPBACK_UNAVAILABLE') {
+      throw error;
+    }
+
+    console.warn('⚠️ Loopback sign-in unavailable, using manual code entry:', error.message);
+    const { authUrl, oAuth2Client } = await client.getAuthUrl(credentials, scopes);
+    return { authUrl, loopback: false, pending: { credentials, oAuth2Client } };
+  }
+}
+
+/**
+ * Load the shared Drive + YouTube client from the saved combined tokens
+ */
+function initCombinedGoogle() {
+  try {
+    const credentialsPath = getCredentialsPath('drive');
+
+    if (!fs.existsSync(credentialsPath)) {
+      return { success: false, error: 'Credentials file not found' };
+    }
+
+    const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+    const tokens = readGoogleTokens('drive');
+
+    if (!tokens) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    applyCombinedClient(credentials, tokens, (service) => {
+      if (authState[service].status === 'disconnected') {
+        setAuthState(service, 'connected');
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Authenticate Google Drive from the saved credentials and tokens, if any
+ */
+async function initGoogleDrive() {
+  if (isCombinedGoogleAuth()) {
+    return initCombinedGoogle();
+  }
+
+  try {
+    const credentialsPath = getCredentialsPath('drive');
+
+    if (!fs.existsSync(credentialsPath)) {
+      return { success: false, error: 'Credentials file not found' };
+    }
+
+    const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+    const tokens = readGoogleTokens('drive');
+
+    if (!tokens) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    await googleDrive.authenticate(credentials, tokens, { onTokens: persistTokens('drive') });
+    if (authState.drive.status === 'disconnected') {
+      setAuthState('drive', 'connected');
+    }
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Authenticate YouTube from the saved credentials and tokens, if any
+ */
+async function initYouTube() {
+  if (isCombinedGoogleAuth()) {
+    return initCombinedGoogle();
+  }
+
+  try {
+    const credentialsPath = getCredentialsPath('youtube');
+
+    if (!fs.existsSync(credentialsPath)) {
+      return { success: false, error: 'Credentials file not found' };
+    }
+
+    const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+    const tokens = readGoogleTokens('youtube');
+
+    if (!tokens) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    await youtube.authenticate(credentials, tokens, { onTokens: persistTokens('youtube') });
+    if (authState.youtube.status === 'disconnected') {
+      setAuthState('youtube', 'connected');
+    }
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Drop the current Google clients and sign in with the credentials for the
+ * active profile and googleAccounts setting
+ */
+async function reinitGoogle() {
+  for (const [service, client] of Object.entries(GOOGLE_CLIENTS)) {
+    client.setAuthClient(null);
+    setAuthState(service, 'disconnected');
+  }
+
+  await initGoogleDrive();
+  await initYouTube();
+}
+
+/**
+ * Re-initialize the API and Google clients and the queue settings for the
+ * active profile, then tell the renderer
+ */
+async function activateProfile() {
+  const profile = profiles.getActive();
+  console.log(`👥 Switching to profile "${profile.name}"`);
 
-  // Add .env values to config
-  config.driveFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID || config.driveFolderId;
+  queueManager.setConfig(getEffectiveConfig());
+  await reinitGoogle();
+  const apiConnected = await autoLoginApi();
 
+  if (mainWindow) {
+    mainWindow.webContents.send('profile-changed', { profile, apiConnected });
+  }
+}
+
+app.whenReady().then(async () => {
+  createWindow();
+
+  // Encrypt any tokens earlier versions left in plaintext
+  secrets.migrate(path.join(__dirname, 'config'));
+
+  // Secrets are scoped per profile from here on. Existing settings become
+  // the default profile on first run.
+  const profile = profiles.load(store.get('config') || {});
+  console.log(`👥 Using profile "${profile.name}"`);
+
+  // Auto-login to API with saved credentials or .env
+  await autoLoginApi();
+
+  // Initialize queue manager with config
+  const config = getEffectiveConfig();
   queueManager.setConfig(config);
 
   // Initialize Whisper.cpp if configured
@@ -85,6 +441,26 @@ app.whenReady().then(async () => {
       mainWindow.webContents.send('queue-update', queue);
     }
   });
+
+  // Check Google credentials before each queue run, and flag revoked ones
+  queueManager.setPreflight(checkGoogleAuth);
+  queueManager.setAuthErrorCallback((service, error) => {
+    setAuthState(service, 'revoked', error);
+  });
+
+  // Watch folder inbox
+  folderWatcher.setUpdateCallback((inbox) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('inbox-update', inbox);
+    }
+  });
+  folderWatcher.start(config.watchFolder);
+
+  // Resume any queue left over from the previous run. Uploads need Google
+  // clients ready before the first item is picked up.
+  await initGoogleDrive();
+  await initYouTube();
+  queueManager.restoreQueue();
 });
 
 app.on('window-all-closed', () => {
@@ -104,43 +480,121 @@ app.on('activate', () => {
 ipcMain.handle('get-config', async () => {
   const config = store.get('config');
 
-  // Check token files
-  const googleTokenPath = path.join(__dirname, 'config', 'google_tokens.json');
-  const youtubeTokenPath = path.join(__dirname, 'config', 'youtube_tokens.json');
-
+  // Check saved tokens (shared when Google accounts are combined)
   return {
     config: config || {},
-    hasGoogleAuth: fs.existsSync(googleTokenPath),
-    hasYoutubeAuth: fs.existsSync(youtubeTokenPath)
+    profile: profiles.getActive(),
+    hasGoogleAuth: Boolean(readGoogleTokens('drive')),
+    hasYoutubeAuth: Boolean(readGoogleTokens('youtube'))
   };
 });
 
-ipcMain.handle('save-config', async (event, config) => {
+// Settings arrive with the active profile's fields under `profile`; the
+// rest apply to every profile
+ipcMain.handle('save-config', async (event, settings) => {
+  const { profile: profileFields = {}, ...config } = settings;
+  const previous = getEffectiveConfig();
+
+  // Like switching profiles: items in flight would report their links to
+  // the other API environment
+  const apiUrlChanged = profileFields.apiBaseUrl !== undefined &&
+    profileFields.apiBaseUrl.trim() !== (profiles.getActive().apiBaseUrl || '');
+  if (apiUrlChanged && queueManager.hasPendingWork()) {
+    return { success: false, error: 'Wait for the queue to finish before changing the API URL' };
+  }
+
   store.set('config', config);
-  queueManager.setConfig(config);
+  profiles.update(profiles.activeId, profileFields);
+
+  const current = getEffectiveConfig();
+  queueManager.setConfig(current);
+  // Pick up any extra workers from a raised concurrency limit
+  queueManager.processQueue();
+
+  if (current.apiBaseUrl !== previous.apiBaseUrl) {
+    // The saved token belongs to the old environment
+    secrets.delete('api-token');
+    await activateProfile();
+  } else if (current.googleAccounts !== previous.googleAccounts) {
+    // Switch Drive and YouTube over to the other set of credentials
+    await reinitGoogle();
+  }
+
+  if (config.watchFolder !== previous.watchFolder) {
+    const watchResult = folderWatcher.start(config.watchFolder);
+    if (!watchResult.success) {
+      return { success: false, error: watchResult.error };
+    }
+  }
+
   return { success: true };
 });
 
 ipcMain.handle('login-api', async () => {
   console.log('Logging in to API...');
 
-  apiAuth.initialize(
-    process.env.API_BASE_URL,
-    process.env.API_EMAIL,
-    process.env.API_PASSWORD
-  );
+  initApi();
+
+  if (!getEffectiveConfig().apiBaseUrl) {
+    return { success: false, error: 'No API URL set for this profile or in .env' };
+  }
 
-  apiClient.initialize(process.env.API_BASE_URL);
+  if (!apiAuth.hasCredentials()) {
+    return { success: false, needsCredentials: true, error: 'Enter your API email and password' };
+  }
 
   const result = await apiAuth.login();
   return result;
 });
 
+// Login form: credentials are saved encrypted once they work
+ipcMain.handle('login-api-with-credentials', async (event, email, password) => {
+  if (!getEffectiveConfig().apiBaseUrl) {
+    return { success: false, error: 'No API URL set for this profile or in .env' };
+  }
+
+  initApi();
+
+  return await apiAuth.login(email, password);
+});
+
 ipcMain.handle('logout-api', async () => {
   apiAuth.logout();
   return { success: true };
 });
 
+// Profiles
+ipcMain.handle('get-profiles', async () => {
+  return { profiles: profiles.list(), activeId: profiles.activeId };
+});
+
+ipcMain.handle('create-profile', async (event, name) => {
+  return profiles.create(name);
+});
+
+ipcMain.handle('switch-profile', async (event, profileId) => {
+  if (profileId === profiles.activeId) {
+    return { success: true, profile: profiles.getActive() };
+  }
+
+  // Items in flight would finish against the other profile's accounts
+  if (queueManager.hasPendingWork()) {
+    return { success: false, error: 'Wait for the queue to finish before switching profiles' };
+  }
+
+  const result = profiles.setActive(profileId);
+  if (!result.success) {
+    return result;
+  }
+
+  await activateProfile();
+  return result;
+});
+
+ipcMain.handle('delete-profile', async (event, profileId) => {
+  return profiles.remove(profileId);
+});
+
 ipcMain.handle('test-interview-id', async (event, interviewId) => {
   try {
     const details = await apiClient.getInterviewDetails(interviewId);
@@ -150,8 +604,53 @@ ipcMain.handle('test-interview-id', async (event, interviewId) => {
   }
 });
 
-ipcMain.handle('add-video-to-queue', async (event, filePath, interviewId) => {
-  return await queueManager.addVideo(filePath, interviewId);
+ipcMain.handle('search-interviews', async (event, filters) => {
+  try {
+    const results = await apiClient.searchInterviews(filters);
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('match-interview', async (event, filePath) => {
+  try {
+    const result = await interviewMatcher.matchRecording(filePath);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('add-video-to-queue', async (event, filePath, interviewId, options) => {
+  const result = await queueManager.addVideo(filePath, interviewId, options);
+
+  if (result.success) {
+    folderWatcher.markQueued(filePath);
+  }
+
+  return result;
+});
+
+// Whisper models for the settings and preview pickers. The folder defaults
+// to the one holding WHISPER_MODEL_PATH.
+ipcMain.handle('list-whisper-models', async (event, modelsDir) => {
+  const envModel = process.env.WHISPER_MODEL_PATH;
+  const dir = modelsDir || (envModel ? path.dirname(envModel) : null);
+
+  return {
+    modelsDir: dir,
+    defaultModel: envModel ? path.basename(envModel) : null,
+    models: transcription.listModels(dir)
+  };
+});
+
+ipcMain.handle('get-inbox', async () => {
+  return folderWatcher.getInbox();
+});
+
+ipcMain.handle('dismiss-inbox-item', async (event, entryId) => {
+  return folderWatcher.dismiss(entryId);
 });
 
 ipcMain.handle('get-queue', async () => {
@@ -163,6 +662,34 @@ ipcMain.handle('clear-completed', async () => {
   return { success: true };
 });
 
+ipcMain.handle('retry-item', async (event, itemId) => {
+  return queueManager.retryItem(itemId);
+});
+
+ipcMain.handle('cancel-item', async (event, itemId) => {
+  return queueManager.cancelItem(itemId);
+});
+
+ipcMain.handle('remove-item', async (event, itemId) => {
+  return queueManager.removeItem(itemId);
+});
+
+ipcMain.handle('pause-queue', async () => {
+  return queueManager.pause();
+});
+
+ipcMain.handle('resume-queue', async () => {
+  return queueManager.resume();
+});
+
+ipcMain.handle('get-queue-state', async () => {
+  return { paused: queueManager.isPaused(), pauseReason: queueManager.getPauseReason() };
+});
+
+ipcMain.handle('get-auth-state', async () => {
+  return authState;
+});
+
 ipcMain.handle('select-directory', async (event, title) => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openDirectory'],
@@ -177,7 +704,7 @@ ipcMain.handle('select-directory', async (event, title) => {
 
 ipcMain.handle('google-auth-start', async () => {
   try {
-    const credentialsPath = path.join(__dirname, 'config', 'google_credentials.json');
+    const credentialsPath = getCredentialsPath('drive');
 
     if (!fs.existsSync(credentialsPath)) {
       return {
@@ -187,12 +714,17 @@ ipcMain.handle('google-auth-start', async () => {
     }
 
     const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
-    const { authUrl, oAuth2Client } = await googleDrive.getAuthUrl(credentials);
 
-    // Store the oAuth2Client temporarily
-    global.pendingOAuth = { credentials, oAuth2Client };
+    if (global.pendingOAuth && global.pendingOAuth.flow) {
+      global.pendingOAuth.flow.cancel();
+    }
+
+    const { authUrl, loopback, pending } = await startGoogleAuth('drive', credentials);
 
-    return { success: true, authUrl };
+    // Store the pending flow until the code comes back
+    global.pendingOAuth = pending;
+
+    return { success: true, authUrl, loopback };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -207,13 +739,7 @@ ipcMain.handle('google-auth-complete', async (event, code) => {
     const { credentials, oAuth2Client } = global.pendingOAuth;
     const tokens = await googleDrive.getTokenFromCode(oAuth2Client, code);
 
-    // Save tokens to config folder
-    const tokenPath = path.join(__dirname, 'config', 'google_tokens.json');
-    fs.writeFileSync(tokenPath, JSON.stringify(tokens, null, 2));
-
-    // Initialize drive
-    await googleDrive.authenticate(credentials, tokens);
-
+    await completeGoogleAuth('drive', credentials, tokens);
     delete global.pendingOAuth;
 
     return { success: true };
@@ -222,28 +748,18 @@ ipcMain.handle('google-auth-complete', async (event, code) => {
   }
 });
 
-ipcMain.handle('google-auth-init', async () => {
+// Resolves once the browser redirects back to the loopback server
+ipcMain.handle('google-auth-wait', async () => {
   try {
-    const credentialsPath = path.join(__dirname, 'config', 'google_credentials.json');
-
-    if (!fs.existsSync(credentialsPath)) {
-      return { success: false, error: 'Credentials file not found' };
-    }
-
-    const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
-    const tokenPath = path.join(__dirname, 'config', 'google_tokens.json');
-
-    if (!fs.existsSync(tokenPath)) {
-      return { success: false, error: 'Not authenticated' };
+    if (!global.pendingOAuth || !global.pendingOAuth.flow) {
+      throw new Error('No pending OAuth session');
     }
 
-    const tokens = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    const { credentials, flow } = global.pendingOAuth;
+    const tokens = await flow.waitForTokens();
 
-    if (!tokens) {
-      return { success: false, error: 'Not authenticated' };
-    }
-
-    await googleDrive.authenticate(credentials, tokens);
+    await completeGoogleAuth('drive', credentials, tokens);
+    delete global.pendingOAuth;
 
     return { success: true };
   } catch (error) {
@@ -251,24 +767,33 @@ ipcMain.handle('google-auth-init', async () => {
   }
 });
 
+ipcMain.handle('google-auth-init', async () => {
+  return await initGoogleDrive();
+});
+
 // YouTube OAuth handlers
 ipcMain.handle('youtube-auth-start', async () => {
   try {
-    const credentialsPath = path.join(__dirname, 'config', 'youtube_credentials.json');
+    const credentialsPath = getCredentialsPath('youtube');
 
     if (!fs.existsSync(credentialsPath)) {
       return {
         success: false,
-        error: 'YouTube credentials file not found. Please add youtube_credentials.json to config folder.'
+        error: `YouTube credentials file not found. Please add ${path.basename(credentialsPath)} to config folder.`
       };
     }
 
     const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
-    const { authUrl, oAuth2Client } = await youtube.getAuthUrl(credentials);
 
-    global.pendingYouTubeOAuth = { credentials, oAuth2Client };
+    if (global.pendingYouTubeOAuth && global.pendingYouTubeOAuth.flow) {
+      global.pendingYouTubeOAuth.flow.cancel();
+    }
+
+    const { authUrl, loopback, pending } = await startGoogleAuth('youtube', credentials);
 
-    return { success: true, authUrl };
+    global.pendingYouTubeOAuth = pending;
+
+    return { success: true, authUrl, loopback };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -283,11 +808,7 @@ ipcMain.handle('youtube-auth-complete', async (event, code) => {
     const { credentials, oAuth2Client } = global.pendingYouTubeOAuth;
     const tokens = await youtube.getTokenFromCode(oAuth2Client, code);
 
-    // Save tokens to config folder
-    const tokenPath = path.join(__dirname, 'config', 'youtube_tokens.json');
-    fs.writeFileSync(tokenPath, JSON.stringify(tokens, null, 2));
-    await youtube.authenticate(credentials, tokens);
-
+    await completeGoogleAuth('youtube', credentials, tokens);
     delete global.pendingYouTubeOAuth;
 
     return { success: true };
@@ -296,28 +817,17 @@ ipcMain.handle('youtube-auth-complete', async (event, code) => {
   }
 });
 
-ipcMain.handle('youtube-auth-init', async () => {
+ipcMain.handle('youtube-auth-wait', async () => {
   try {
-    const credentialsPath = path.join(__dirname, 'config', 'youtube_credentials.json');
-
-    if (!fs.existsSync(credentialsPath)) {
-      return { success: false, error: 'Credentials file not found' };
-    }
-
-    const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
-    const tokenPath = path.join(__dirname, 'config', 'youtube_tokens.json');
-
-    if (!fs.existsSync(tokenPath)) {
-      return { success: false, error: 'Not authenticated' };
+    if (!global.pendingYouTubeOAuth || !global.pendingYouTubeOAuth.flow) {
+      throw new Error('No pending OAuth session');
     }
 
-    const tokens = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    const { credentials, flow } = global.pendingYouTubeOAuth;
+    const tokens = await flow.waitForTokens();
 
-    if (!tokens) {
-      return { success: false, error: 'Not authenticated' };
-    }
-
-    await youtube.authenticate(credentials, tokens);
+    await completeGoogleAuth('youtube', credentials, tokens);
+    delete global.pendingYouTubeOAuth;
 
     return { success: true };
   } catch (error) {
@@ -325,6 +835,10 @@ ipcMain.handle('youtube-auth-init', async () => {
   }
 });
 
+ipcMain.handle('youtube-auth-init', async () => {
+  return await initYouTube();
+});
+
 // Open URL in browser
 ipcMain.handle('open-url', async (event, url) => {
   try {
@@ -6,27 +6,57 @@ contextBridge.exposeInMainWorld('electron', {
   saveConfig: (config) => ipcRenderer.invoke('save-config', config),
   selectDirectory: (title) => ipcRenderer.invoke('select-directory', title),
 
+  // Profiles
+  getProfiles: () => ipcRenderer.invoke('get-profiles'),
+  createProfile: (name) => ipcRenderer.invoke('create-profile', name),
+  switchProfile: (profileId) => ipcRenderer.invoke('switch-profile', profileId),
+  deleteProfile: (profileId) => ipcRenderer.invoke('delete-profile', profileId),
+  onProfileChanged: (callback) => ipcRenderer.on('profile-changed', (event, change) => callback(change)),
+
   // API Authentication
   loginAPI: () => ipcRenderer.invoke('login-api'),
+  loginAPIWithCredentials: (email, password) => ipcRenderer.invoke('login-api-with-credentials', email, password),
   logoutAPI: () => ipcRenderer.invoke('logout-api'),
   testInterviewId: (id) => ipcRenderer.invoke('test-interview-id', id),
+  searchInterviews: (filters) => ipcRenderer.invoke('search-interviews', filters),
+  matchInterview: (filePath) => ipcRenderer.invoke('match-interview', filePath),
 
   // Queue
-  addVideoToQueue: (filePath, interviewId) => ipcRenderer.invoke('add-video-to-queue', filePath, interviewId),
+  addVideoToQueue: (filePath, interviewId, options) => ipcRenderer.invoke('add-video-to-queue', filePath, interviewId, options),
   getQueue: () => ipcRenderer.invoke('get-queue'),
   clearCompleted: () => ipcRenderer.invoke('clear-completed'),
+  retryItem: (itemId) => ipcRenderer.invoke('retry-item', itemId),
+  cancelItem: (itemId) => ipcRenderer.invoke('cancel-item', itemId),
+  removeItem: (itemId) => ipcRenderer.invoke('remove-item', itemId),
+  pauseQueue: () => ipcRenderer.invoke('pause-queue'),
+  resumeQueue: () => ipcRenderer.invoke('resume-queue'),
+  getQueueState: () => ipcRenderer.invoke('get-queue-state'),
   onQueueUpdate: (callback) => ipcRenderer.on('queue-update', (event, queue) => callback(queue)),
 
+  // Transcription
+  listWhisperModels: (modelsDir) => ipcRenderer.invoke('list-whisper-models', modelsDir),
+
+  // Watch folder inbox
+  getInbox: () => ipcRenderer.invoke('get-inbox'),
+  dismissInboxItem: (entryId) => ipcRenderer.invoke('dismiss-inbox-item', entryId),
+  onInboxUpdate: (callback) => ipcRenderer.on('inbox-update', (event, inbox) => callback(inbox)),
+
   // Google Drive
   googleAuthStart: () => ipcRenderer.invoke('google-auth-start'),
   googleAuthComplete: (code) => ipcRenderer.invoke('google-auth-complete', code),
+  googleAuthWait: () => ipcRenderer.invoke('google-auth-wait'),
   googleAuthInit: () => ipcRenderer.invoke('google-auth-init'),
 
   // YouTube
   youtubeAuthStart: () => ipcRenderer.invoke('youtube-auth-start'),
   youtubeAuthComplete: (code) => ipcRenderer.invoke('youtube-auth-complete', code),
+  youtubeAuthWait: () => ipcRenderer.invoke('youtube-auth-wait'),
   youtubeAuthInit: () => ipcRenderer.invoke('youtube-auth-init'),
 
+  // Google account state (connected / revoked)
+  getAuthState: () => ipcRenderer.invoke('get-auth-state'),
+  onAuthStateUpdate: (callback) => ipcRenderer.on('auth-state-update', (event, state) => callback(state)),
+
   // Shell
   openExternal: (url) => ipcRenderer.invoke('open-url', url)
 });
@@ -4,23 +4,46 @@ let driveConnected = false;
 let youtubeConnected = false;
 let pendingFile = null;
 let previewData = null;
+let queuePaused = false;
+let batchFiles = [];
+let searchTimer = null;
+let searchRequestId = 0;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
   await loadConfig();
   setupEventListeners();
   setupDropZone();
+  renderLanguageOptions();
   loadQueue();
+  loadInbox();
 
   // Listen for queue updates
   window.electron.onQueueUpdate((queue) => {
     renderQueue(queue);
   });
+
+  // Listen for watch folder inbox updates
+  window.electron.onInboxUpdate((inbox) => {
+    renderInbox(inbox);
+  });
+
+  // Listen for Google tokens being revoked or renewed
+  window.electron.onAuthStateUpdate((state) => {
+    applyAuthState(state);
+  });
+
+  // Listen for the main process switching API and Google accounts
+  window.electron.onProfileChanged(({ profile, apiConnected }) => {
+    updateProfileStatus(profile);
+    updateAPIStatus(apiConnected);
+  });
 });
 
 // Load saved configuration
 async function loadConfig() {
-  const { config, hasGoogleAuth, hasYoutubeAuth } = await window.electron.getConfig();
+  const { profile, hasGoogleAuth, hasYoutubeAuth } = await window.electron.getConfig();
+  updateProfileStatus(profile);
 
   // Auto-login to API from .env
   const result = await window.electron.loginAPI();
@@ -41,6 +64,41 @@ async function loadConfig() {
       updateYoutubeStatus(true);
     }
   }
+
+  // A pre-flight check may already have found a revoked token
+  applyAuthState(await window.electron.getAuthState());
+}
+
+/**
+ * Reflect the main process's view of the Google accounts in the status bar
+ */
+async function applyAuthState(state) {
+  const services = {
+    drive: { update: updateDriveStatus, statusId: 'driveStatus' },
+    youtube: { update: updateYoutubeStatus, statusId: 'youtubeStatus' }
+  };
+
+  for (const [service, { update, statusId }] of Object.entries(services)) {
+    const { status, error } = state[service];
+
+    if (status === 'disconnected') {
+      update(false);
+      document.getElementById(statusId).title = error || '';
+    } else if (status === 'revoked') {
+      update(false);
+      const statusEl = document.getElementById(statusId);
+      statusEl.textContent = '● Re-authenticate';
+      statusEl.className = 'status-value status-warning';
+      statusEl.title = error || 'Access was revoked or has expired';
+    } else if (status === 'connected') {
+      update(true);
+      document.getElementById(statusId).title = '';
+    }
+  }
+
+  // The queue pauses itself when credentials stop working
+  const { paused, pauseReason } = await window.electron.getQueueState();
+  updatePauseButton(paused, pauseReason);
 }
 
 // Event Listeners
@@ -51,6 +109,11 @@ function setupEventListeners() {
   document.getElementById('cancelSettings').addEventListener('click', closeSettings);
   document.getElementById('saveSettings').addEventListener('click', saveSettings);
 
+  // Profiles
+  document.getElementById('profileSelect').addEventListener('change', switchProfile);
+  document.getElementById('newProfileBtn').addEventListener('click', createProfile);
+  document.getElementById('deleteProfileBtn').addEventListener('click', deleteProfile);
+
   // API Authentication
   document.getElementById('apiConnectBtn').addEventListener('click', toggleAPI);
 
@@ -67,20 +130,55 @@ function setupEventListeners() {
     if (e.key === 'Enter') submitInterviewId();
   });
 
+  // Interview search (typeahead)
+  ['searchCandidate', 'searchCompany', 'searchDateFrom', 'searchDateTo', 'searchNoRecording'].forEach(id => {
+    const eventName = id === 'searchNoRecording' ? 'change' : 'input';
+    document.getElementById(id).addEventListener(eventName, scheduleInterviewSearch);
+  });
+  document.getElementById('searchResults').addEventListener('click', selectSearchResult);
+
+  // Batch Modal
+  document.getElementById('cancelBatch').addEventListener('click', closeBatchModal);
+  document.getElementById('validateBatch').addEventListener('click', validateBatch);
+  document.getElementById('queueBatch').addEventListener('click', queueBatch);
+  document.getElementById('batchRows').addEventListener('input', (e) => {
+    if (e.target.dataset.index !== undefined) {
+      resetBatchRow(parseInt(e.target.dataset.index));
+    }
+  });
+
   // Preview Modal
   document.getElementById('cancelPreview').addEventListener('click', closePreviewModal);
   document.getElementById('confirmPreview').addEventListener('click', confirmPreview);
 
   // Queue
   document.getElementById('clearCompletedBtn').addEventListener('click', clearCompleted);
+  document.getElementById('queueList').addEventListener('click', handleQueueAction);
+  document.getElementById('pauseQueueBtn').addEventListener('click', togglePause);
 
   // Browse buttons
   document.getElementById('browseCompressed').addEventListener('click', () => browseDirectory('compressedStorage'));
+  document.getElementById('browseWatch').addEventListener('click', () => browseDirectory('watchFolder'));
+  document.getElementById('browseModels').addEventListener('click', async () => {
+    await browseDirectory('whisperModelsDir');
+    refreshSettingsModels();
+  });
+  document.getElementById('whisperModelsDir').addEventListener('change', refreshSettingsModels);
+
+  // Watch folder inbox
+  document.getElementById('inboxList').addEventListener('click', handleInboxAction);
 
   // Auth modal handlers
   document.getElementById('authCancel').addEventListener('click', closeAuthModal);
   document.getElementById('authSubmit').addEventListener('click', submitAuthCode);
 
+  // API Login Modal
+  document.getElementById('loginCancel').addEventListener('click', closeLoginModal);
+  document.getElementById('loginSubmit').addEventListener('click', submitLogin);
+  document.getElementById('loginPassword').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') submitLogin();
+  });
+
   // Upload bar close button
   document.getElementById('uploadClose').addEventListener('click', () => {
     document.getElementById('uploadBar').style.display = 'none';
@@ -119,14 +217,13 @@ function setupDropZone() {
       return;
     }
 
-    const files = Array.from(e.dataTransfer.files);
+    const files = Array.from(e.dataTransfer.files).filter(file => isVideoFile(file.name));
 
-    for (const file of files) {
-      if (isVideoFile(file.name)) {
-        pendingFile = file.path;
-        openIdModal(file.name);
-        break; // Process one at a time
-      }
+    if (files.length === 1) {
+      pendingFile = files[0].path;
+      openIdModal(files[0].name);
+    } else if (files.length > 1) {
+      openBatchModal(files);
     }
   });
 }
@@ -140,11 +237,49 @@ function isVideoFile(filename) {
 
 // Settings Modal
 async function openSettings() {
-  const { config } = await window.electron.getConfig();
+  const { config, profile } = await window.electron.getConfig();
 
-  if (config.compressedStorage) {
-    document.getElementById('compressedStorage').value = config.compressedStorage;
-  }
+  await renderProfileOptions();
+  document.getElementById('profileName').value = profile.name;
+  document.getElementById('profileApiBaseUrl').value = profile.apiBaseUrl || '';
+  document.getElementById('profileDriveFolderId').value = profile.driveFolderId || '';
+  document.getElementById('profileTranscriptFolderId').value = profile.transcriptFolderId || '';
+  document.getElementById('compressedStorage').value = profile.compressedStorage || '';
+  document.getElementById('googleAccounts').value = profile.googleAccounts || 'separate';
+
+  document.getElementById('watchFolder').value = config.watchFolder || '';
+
+  const formats = config.transcriptFormats || ['txt'];
+  document.querySelectorAll('#transcriptFormats input').forEach(input => {
+    input.checked = formats.includes(input.value);
+  });
+  document.getElementById('transcriptPrimaryFormat').value = config.transcriptPrimaryFormat || formats[0];
+
+  const whisper = config.whisper || {};
+  document.getElementById('whisperLanguage').value = whisper.language || '';
+  document.getElementById('whisperModelsDir').value = whisper.modelsDir || '';
+  document.getElementById('whisperThreads').value = whisper.threads || '';
+  document.getElementById('whisperBeamSize').value = whisper.beamSize || '';
+  document.getElementById('whisperBestOf').value = whisper.bestOf || '';
+  document.getElementById('whisperChunkMinutes').value = whisper.chunkMinutes || '';
+  document.getElementById('whisperChunkWorkers').value = whisper.chunkWorkers || '';
+  document.getElementById('whisperDiarization').value = whisper.diarization || '';
+  document.getElementById('whisperFirstSpeaker').value = whisper.firstSpeaker || '';
+  await refreshSettingsModels(whisper.model);
+
+  // Redaction is on by default, with every built-in rule
+  const redaction = config.redaction || {};
+  document.getElementById('redactionEnabled').checked = redaction.enabled !== false;
+  document.querySelectorAll('#redactionRules input[value]').forEach(input => {
+    input.checked = !redaction.rules || redaction.rules.includes(input.value);
+  });
+  document.getElementById('redactionNames').checked = redaction.names !== false;
+  document.getElementById('redactionPatterns').value = (redaction.patterns || []).join('\n');
+
+  const concurrency = config.concurrency || {};
+  document.getElementById('concurrencyCompress').value = concurrency.compress || '';
+  document.getElementById('concurrencyUpload').value = concurrency.upload || '';
+  document.getElementById('concurrencyTranscribe').value = concurrency.transcribe || '';
 
   document.getElementById('settingsModal').classList.add('active');
 }
@@ -154,15 +289,210 @@ function closeSettings() {
 }
 
 async function saveSettings() {
+  const formatInputs = document.querySelectorAll('#transcriptFormats input:checked');
+  if (formatInputs.length === 0) {
+    alert('Select at least one transcript format');
+    return;
+  }
+
+  const primaryFormat = document.getElementById('transcriptPrimaryFormat').value;
+  if (!Array.from(formatInputs).some(input => input.value === primaryFormat)) {
+    alert('The primary transcript format must be one of the selected formats');
+    return;
+  }
+
+  const redactionPatterns = document.getElementById('redactionPatterns').value
+    .split('\n')
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+
+  for (const pattern of redactionPatterns) {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      alert(`Invalid redaction pattern "${pattern}": ${error.message}`);
+      return;
+    }
+  }
+
   const config = {
-    compressedStorage: document.getElementById('compressedStorage').value
+    watchFolder: document.getElementById('watchFolder').value.trim(),
+    // Saved with the active profile
+    profile: {
+      name: document.getElementById('profileName').value,
+      apiBaseUrl: document.getElementById('profileApiBaseUrl').value,
+      driveFolderId: document.getElementById('profileDriveFolderId').value,
+      transcriptFolderId: document.getElementById('profileTranscriptFolderId').value,
+      compressedStorage: document.getElementById('compressedStorage').value,
+      googleAccounts: document.getElementById('googleAccounts').value
+    },
+    transcriptFormats: Array.from(formatInputs).map(input => input.value),
+    transcriptPrimaryFormat: primaryFormat,
+    whisper: {
+      language: document.getElementById('whisperLanguage').value || null,
+      modelsDir: document.getElementById('whisperModelsDir').value.trim() || null,
+      model: document.getElementById('whisperModel').value || null,
+      threads: parseInt(document.getElementById('whisperThreads').value) || null,
+      beamSize: parseInt(document.getElementById('whisperBeamSize').value) || null,
+      bestOf: parseInt(document.getElementById('whisperBestOf').value) || null,
+      chunkMinutes: parseInt(document.getElementById('whisperChunkMinutes').value) || null,
+      chunkWorkers: parseInt(document.getElementById('whisperChunkWorkers').value) || null,
+      diarization: document.getElementById('whisperDiarization').value || null,
+      firstSpeaker: document.getElementById('whisperFirstSpeaker').value || null
+    },
+    redaction: {
+      enabled: document.getElementById('redactionEnabled').checked,
+      rules: Array.from(document.querySelectorAll('#redactionRules input[value]:checked')).map(input => input.value),
+      names: document.getElementById('redactionNames').checked,
+      patterns: redactionPatterns
+    },
+    concurrency: {
+      compress: parseInt(document.getElementById('concurrencyCompress').value) || null,
+      upload: parseInt(document.getElementById('concurrencyUpload').value) || null,
+      transcribe: parseInt(document.getElementById('concurrencyTranscribe').value) || null
+    }
   };
 
-  await window.electron.saveConfig(config);
+  const result = await window.electron.saveConfig(config);
+  if (!result.success) {
+    alert('❌ ' + result.error);
+    return;
+  }
+
+  const { profile } = await window.electron.getConfig();
+  updateProfileStatus(profile);
+
   closeSettings();
   alert('✅ Settings saved! Restart app to apply changes.');
 }
 
+// Transcription languages offered in settings and the preview modal.
+// whisper.cpp accepts any ISO 639-1 code; 'auto' lets it detect the language.
+const TRANSCRIPTION_LANGUAGES = [
+  ['auto', 'Auto-detect'],
+  ['en', 'English'],
+  ['de', 'German'],
+  ['fr', 'French'],
+  ['es', 'Spanish'],
+  ['it', 'Italian'],
+  ['pt', 'Portuguese'],
+  ['nl', 'Dutch'],
+  ['pl', 'Polish'],
+  ['uk', 'Ukrainian'],
+  ['ru', 'Russian'],
+  ['tr', 'Turkish'],
+  ['ar', 'Arabic'],
+  ['hi', 'Hindi'],
+  ['zh', 'Chinese'],
+  ['ja', 'Japanese'],
+  ['ko', 'Korean']
+];
+
+function renderLanguageOptions() {
+  const options = TRANSCRIPTION_LANGUAGES
+    .map(([code, name]) => `<option value="${code}">${name}</option>`)
+    .join('');
+
+  document.getElementById('whisperLanguage').innerHTML =
+    '<option value="">Default (WHISPER_LANGUAGE or English)</option>' + options;
+  document.getElementById('previewLanguage').innerHTML =
+    '<option value="">Default (from settings)</option>' + options;
+}
+
+/**
+ * Fill a model picker from the models folder. The empty option means the
+ * next level of default.
+ */
+async function renderModelOptions(selectId, modelsDir, selected, defaultLabel) {
+  const result = await window.electron.listWhisperModels(modelsDir || null);
+  const select = document.getElementById(selectId);
+
+  select.innerHTML = `<option value="">${escapeHtml(defaultLabel)}</option>` +
+    result.models.map(model => `
+      <option value="${escapeHtml(model.name)}">${escapeHtml(model.name)} (${model.sizeMB} MB)</option>
+    `).join('');
+  select.value = result.models.some(model => model.name === selected) ? selected : '';
+
+  return result;
+}
+
+async function refreshSettingsModels(selected = document.getElementById('whisperModel').value) {
+  const modelsDirInput = document.getElementById('whisperModelsDir');
+  const { modelsDir } = await renderModelOptions(
+    'whisperModel',
+    modelsDirInput.value.trim(),
+    selected,
+    'Default (WHISPER_MODEL_PATH)'
+  );
+  modelsDirInput.placeholder = modelsDir || 'Folder with ggml-*.bin models';
+}
+
+// Profiles
+async function renderProfileOptions() {
+  const { profiles, activeId } = await window.electron.getProfiles();
+  const select = document.getElementById('profileSelect');
+
+  select.innerHTML = profiles.map(profile => `
+    <option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>
+  `).join('');
+  select.value = activeId;
+
+  document.getElementById('deleteProfileBtn').disabled = activeId === 'default';
+}
+
+async function switchProfile() {
+  const select = document.getElementById('profileSelect');
+  const result = await window.electron.switchProfile(select.value);
+
+  if (!result.success) {
+    alert('❌ ' + result.error);
+  }
+
+  // Show the now-active profile's settings (or put the old one back)
+  await openSettings();
+}
+
+async function createProfile() {
+  const result = await window.electron.createProfile('New profile');
+  if (!result.success) {
+    alert('❌ ' + result.error);
+    return;
+  }
+
+  document.getElementById('profileSelect').innerHTML += `
+    <option value="${escapeHtml(result.profile.id)}">${escapeHtml(result.profile.name)}</option>
+  `;
+  document.getElementById('profileSelect').value = result.profile.id;
+  await switchProfile();
+}
+
+async function deleteProfile() {
+  const select = document.getElementById('profileSelect');
+  const name = select.options[select.selectedIndex].textContent;
+
+  if (!confirm(`Delete profile "${name}" and its saved sign-ins?`)) {
+    return;
+  }
+
+  // The active profile can't be deleted, so move to the default one first
+  const switched = await window.electron.switchProfile('default');
+  if (!switched.success) {
+    alert('❌ ' + switched.error);
+    return;
+  }
+
+  const result = await window.electron.deleteProfile(select.value);
+  if (!result.success) {
+    alert('❌ ' + result.error);
+  }
+
+  await openSettings();
+}
+
+function updateProfileStatus(profile) {
+  document.getElementById('profileStatus').textContent = profile ? profile.name : 'Default';
+}
+
 async function browseDirectory(fieldId) {
   const result = await window.electron.selectDirectory('Select Directory');
   if (result.success) {
@@ -181,11 +511,53 @@ async function toggleAPI() {
       updateAPIStatus(true);
       alert('✅ API authenticated successfully');
     } else {
-      alert('❌ API authentication failed: ' + result.error + '\n\nCheck .env file for correct credentials');
+      openLoginModal(result.needsCredentials ? null : result.error);
     }
   }
 }
 
+function openLoginModal(error = null) {
+  const errorEl = document.getElementById('loginError');
+  errorEl.textContent = error ? 'Saved credentials failed: ' + error : '';
+  errorEl.style.display = error ? 'block' : 'none';
+  document.getElementById('loginPassword').value = '';
+  document.getElementById('loginModal').classList.add('active');
+  document.getElementById('loginEmail').focus();
+}
+
+function closeLoginModal() {
+  document.getElementById('loginModal').classList.remove('active');
+}
+
+async function submitLogin() {
+  const email = document.getElementById('loginEmail').value.trim();
+  const password = document.getElementById('loginPassword').value;
+  const errorEl = document.getElementById('loginError');
+
+  if (!email || !password) {
+    errorEl.textContent = 'Please enter your email and password';
+    errorEl.style.display = 'block';
+    return;
+  }
+
+  const submitBtn = document.getElementById('loginSubmit');
+  submitBtn.disabled = true;
+  submitBtn.textContent = 'Logging in...';
+
+  const result = await window.electron.loginAPIWithCredentials(email, password);
+
+  submitBtn.disabled = false;
+  submitBtn.textContent = 'Login';
+
+  if (result.success) {
+    closeLoginModal();
+    updateAPIStatus(true);
+  } else {
+    errorEl.textContent = result.error;
+    errorEl.style.display = 'block';
+  }
+}
+
 function updateAPIStatus(connected) {
   apiConnected = connected;
   const statusEl = document.getElementById('apiStatus');
@@ -214,6 +586,11 @@ async function authenticateGoogleDrive() {
   // Open browser
   await window.electron.openExternal(result.authUrl);
 
+  if (result.loopback) {
+    await waitForBrowserSignIn('Google Drive', 'driveStatus', window.electron.googleAuthWait, updateDriveStatus);
+    return;
+  }
+
   // Show dialog with retry
   let attempts = 0;
   while (attempts < 3) {
@@ -250,6 +627,24 @@ async function authenticateGoogleDrive() {
   }
 }
 
+// The browser redirects back to the app, so there's no code to paste
+async function waitForBrowserSignIn(label, statusId, wait, updateStatus) {
+  const statusEl = document.getElementById(statusId);
+  statusEl.textContent = '● Waiting for browser sign-in...';
+  statusEl.className = 'status-value status-warning';
+
+  const authResult = await wait();
+
+  if (authResult.success) {
+    updateStatus(true);
+    alert(`✅ ${label} authenticated successfully!`);
+  } else {
+    updateStatus(false);
+    applyAuthState(await window.electron.getAuthState());
+    alert(`❌ ${label} authentication failed: ` + authResult.error);
+  }
+}
+
 function updateDriveStatus(connected) {
   driveConnected = connected;
   const statusEl = document.getElementById('driveStatus');
@@ -271,8 +666,118 @@ function openIdModal(fileName) {
   document.getElementById('currentFileName').textContent = fileName;
   document.getElementById('interviewId').value = '';
   document.getElementById('idError').style.display = 'none';
+  document.getElementById('searchCandidate').value = '';
+  document.getElementById('searchCompany').value = '';
+  document.getElementById('searchDateFrom').value = '';
+  document.getElementById('searchDateTo').value = '';
+  document.getElementById('searchResults').innerHTML = '';
+  document.getElementById('matchSuggestion').style.display = 'none';
   document.getElementById('idModal').classList.add('active');
-  document.getElementById('interviewId').focus();
+  document.getElementById('searchCandidate').focus();
+
+  if (pendingFile) {
+    suggestInterviewMatch(pendingFile);
+  }
+}
+
+// Minimum confidence before the best match is pre-filled into the ID field
+const MATCH_PREFILL_CONFIDENCE = 0.6;
+
+async function suggestInterviewMatch(filePath) {
+  const result = await window.electron.matchInterview(filePath);
+
+  // The modal may have moved on to another file while matching
+  if (filePath !== pendingFile || !result.success || result.matches.length === 0) {
+    return;
+  }
+
+  const best = result.matches[0];
+  const suggestionEl = document.getElementById('matchSuggestion');
+  const idInput = document.getElementById('interviewId');
+
+  suggestionEl.innerHTML = `
+    <strong>Suggested match (${Math.round(best.confidence * 100)}% confidence):</strong>
+    ${escapeHtml(best.interview.full_name)} • ${escapeHtml(best.interview.company)} • #${escapeHtml(best.interview.id)}
+    <small>Recording date ${escapeHtml(result.recordingDate)} from ${escapeHtml(result.dateSource)}</small>
+  `;
+  suggestionEl.className = best.confidence >= MATCH_PREFILL_CONFIDENCE
+    ? 'match-suggestion match-strong'
+    : 'match-suggestion match-weak';
+  suggestionEl.style.display = 'block';
+
+  if (best.confidence >= MATCH_PREFILL_CONFIDENCE && !idInput.value) {
+    idInput.value = best.interview.id;
+  }
+
+  // Offer every ranked match in the results list until the user searches
+  const resultsEl = document.getElementById('searchResults');
+  if (!resultsEl.innerHTML.trim()) {
+    resultsEl.innerHTML = renderInterviewResults(
+      result.matches.map(match => ({ ...match.interview, confidence: match.confidence }))
+    );
+  }
+}
+
+// Interview Search
+function scheduleInterviewSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runInterviewSearch, 300);
+}
+
+async function runInterviewSearch() {
+  const filters = {
+    candidate: document.getElementById('searchCandidate').value.trim(),
+    company: document.getElementById('searchCompany').value.trim(),
+    dateFrom: document.getElementById('searchDateFrom').value || null,
+    dateTo: document.getElementById('searchDateTo').value || null,
+    noRecording: document.getElementById('searchNoRecording').checked
+  };
+  const resultsEl = document.getElementById('searchResults');
+
+  if (!filters.candidate && !filters.company && !filters.dateFrom && !filters.dateTo) {
+    resultsEl.innerHTML = '';
+    return;
+  }
+
+  // Ignore responses to searches that were superseded while in flight
+  const requestId = ++searchRequestId;
+  resultsEl.innerHTML = '<div class="search-empty">Searching...</div>';
+
+  const result = await window.electron.searchInterviews(filters);
+  if (requestId !== searchRequestId) return;
+
+  if (!result.success) {
+    resultsEl.innerHTML = `<div class="search-empty">Search failed: ${escapeHtml(result.error)}</div>`;
+    return;
+  }
+
+  if (result.results.length === 0) {
+    resultsEl.innerHTML = '<div class="search-empty">No matching interviews</div>';
+    return;
+  }
+
+  resultsEl.innerHTML = renderInterviewResults(result.results);
+}
+
+function renderInterviewResults(interviews) {
+  return interviews.map(interview => `
+    <div class="search-result" data-id="${escapeHtml(interview.id)}">
+      <div class="search-result-title">${escapeHtml(interview.full_name)} • ${escapeHtml(interview.company)}</div>
+      <div class="search-result-meta">
+        #${escapeHtml(interview.id)} • ${escapeHtml(interview.type_of_interview || '')} • ${escapeHtml((interview.interview_date || '').split('T')[0])}
+        ${interview.recording_link ? ' • has recording' : ''}
+        ${interview.confidence !== undefined ? ` • ${Math.round(interview.confidence * 100)}% match` : ''}
+      </div>
+    </div>
+  `).join('');
+}
+
+function selectSearchResult(e) {
+  const row = e.target.closest('.search-result');
+  if (!row) return;
+
+  document.getElementById('interviewId').value = row.dataset.id;
+  submitInterviewId();
 }
 
 function closeIdModal() {
@@ -320,8 +825,134 @@ async function submitInterviewId() {
   openPreviewModal();
 }
 
+// Batch Interview ID Modal
+function openBatchModal(files) {
+  batchFiles = files.map(file => ({
+    name: file.name,
+    path: file.path,
+    interviewId: null,
+    details: null,
+    error: null
+  }));
+
+  document.getElementById('batchCount').textContent = batchFiles.length;
+  document.getElementById('batchError').style.display = 'none';
+  document.getElementById('batchRows').innerHTML = batchFiles.map((file, index) => `
+    <div class="batch-row">
+      <div class="batch-file" title="${escapeHtml(file.path)}">${escapeHtml(file.name)}</div>
+      <input type="number" class="batch-id" data-index="${index}" placeholder="Interview ID">
+      <div class="batch-result" id="batchResult${index}"></div>
+    </div>
+  `).join('');
+
+  document.getElementById('batchModal').classList.add('active');
+  document.querySelector('.batch-id').focus();
+}
+
+function closeBatchModal() {
+  document.getElementById('batchModal').classList.remove('active');
+  batchFiles = [];
+}
+
+function resetBatchRow(index) {
+  batchFiles[index].details = null;
+  batchFiles[index].error = null;
+  renderBatchResult(index);
+}
+
+function renderBatchResult(index) {
+  const row = batchFiles[index];
+  const resultEl = document.getElementById(`batchResult${index}`);
+
+  if (row.details) {
+    resultEl.className = 'batch-result batch-valid';
+    resultEl.textContent = `✅ ${row.details.full_name} • ${row.details.company} • ${row.details.interview_date}`;
+  } else if (row.error) {
+    resultEl.className = 'batch-result batch-invalid';
+    resultEl.textContent = `❌ ${row.error}`;
+  } else {
+    resultEl.className = 'batch-result';
+    resultEl.textContent = '';
+  }
+}
+
+/**
+ * Validate every row that has an interview ID, all requests in parallel.
+ * Returns the rows that passed.
+ */
+async function validateBatch() {
+  const inputs = document.querySelectorAll('#batchRows .batch-id');
+
+  await Promise.all(Array.from(inputs).map(async (input) => {
+    const index = parseInt(input.dataset.index);
+    const row = batchFiles[index];
+    const interviewId = parseInt(input.value);
+
+    row.interviewId = Number.isNaN(interviewId) ? null : interviewId;
+    row.details = null;
+    row.error = null;
+
+    if (row.interviewId === null) {
+      renderBatchResult(index);
+      return;
+    }
+
+    const duplicate = batchFiles.some((other, i) => i !== index && other.interviewId === row.interviewId);
+    if (duplicate) {
+      row.error = 'Interview ID used for more than one file';
+      renderBatchResult(index);
+      return;
+    }
+
+    const result = await window.electron.testInterviewId(row.interviewId);
+    if (result.success) {
+      row.details = result.details;
+    } else {
+      row.error = result.error || 'Interview ID not found in API';
+    }
+    renderBatchResult(index);
+  }));
+
+  return batchFiles.filter(row => row.details);
+}
+
+async function queueBatch() {
+  const errorEl = document.getElementById('batchError');
+  errorEl.style.display = 'none';
+
+  const validRows = await validateBatch();
+
+  if (validRows.length === 0) {
+    errorEl.textContent = 'No valid interview IDs to queue';
+    errorEl.style.display = 'block';
+    return;
+  }
+
+  const invalidCount = batchFiles.filter(row => row.error).length;
+  if (invalidCount > 0 && !confirm(`${invalidCount} row(s) have errors and will be skipped. Queue the ${validRows.length} valid file(s)?`)) {
+    return;
+  }
+
+  // Add sequentially so the queue keeps the order the files were dropped in
+  const failures = [];
+  for (const row of validRows) {
+    const result = await window.electron.addVideoToQueue(row.path, row.interviewId);
+    if (!result.success) {
+      failures.push(`${row.name}: ${result.error}`);
+    }
+  }
+
+  closeBatchModal();
+
+  if (failures.length > 0) {
+    alert(`⚠️ Queued ${validRows.length - failures.length} of ${validRows.length} file(s)\n\n` + failures.join('\n'));
+  } else {
+    alert(`✅ ${validRows.length} file(s) added to queue!`);
+  }
+}
+
 // Preview Modal
-function openPreviewModal() {
+async function openPreviewModal() {
   const { interviewId, details } = previewData;
 
   document.getElementById('previewId').textContent = interviewId;
@@ -334,6 +965,23 @@ function openPreviewModal() {
   const filename = generateFilename(details);
   document.getElementById('previewFilename').textContent = filename;
 
+  // Transcription defaults come from settings; change them for this video only
+  const { config } = await window.electron.getConfig();
+  const whisper = config.whisper || {};
+  document.getElementById('previewLanguage').value = '';
+  document.getElementById('previewFirstSpeaker').value = '';
+  // Naming speakers only matters when they are being labelled
+  document.getElementById('previewFirstSpeaker').disabled = !whisper.diarization;
+  await renderModelOptions('previewModel', whisper.modelsDir, '', 'Default (from settings)');
+
+  // Empty keeps the setting, shown as the placeholder
+  [['previewThreads', whisper.threads], ['previewBeamSize', whisper.beamSize], ['previewBestOf', whisper.bestOf]]
+    .forEach(([id, setting]) => {
+      const input = document.getElementById(id);
+      input.value = '';
+      input.placeholder = setting ? `Default (${setting})` : 'Default';
+    });
+
   document.getElementById('previewModal').classList.add('active');
 }
 
@@ -354,6 +1002,14 @@ async function confirmPreview() {
 
   // Save data BEFORE closing modal
   const { interviewId, filePath } = previewData;
+  const transcription = {
+    language: document.getElementById('previewLanguage').value || null,
+    model: document.getElementById('previewModel').value || null,
+    firstSpeaker: document.getElementById('previewFirstSpeaker').value || null,
+    threads: parseInt(document.getElementById('previewThreads').value) || null,
+    beamSize: parseInt(document.getElementById('previewBeamSize').value) || null,
+    bestOf: parseInt(document.getElementById('previewBestOf').value) || null
+  };
 
   closePreviewModal();
 
@@ -361,7 +1017,7 @@ async function confirmPreview() {
   console.log('📤 File exists?', filePath);
 
   try {
-    const result = await window.electron.addVideoToQueue(filePath, interviewId);
+    const result = await window.electron.addVideoToQueue(filePath, interviewId, { transcription });
     console.log('📥 Result:', result);
 
     if (!result.success) {
@@ -397,10 +1053,57 @@ function generateFilename(details) {
   return `${name}_${company}_${type}_${details.interview_date}.mp4`;
 }
 
+// Watch Folder Inbox
+async function loadInbox() {
+  const inbox = await window.electron.getInbox();
+  renderInbox(inbox);
+}
+
+function renderInbox(inbox) {
+  const section = document.getElementById('inboxSection');
+
+  document.getElementById('inboxCount').textContent = inbox.length;
+  section.style.display = inbox.length > 0 ? 'block' : 'none';
+
+  document.getElementById('inboxList').innerHTML = inbox.map(entry => `
+    <div class="inbox-item">
+      <div class="inbox-item-info">
+        <div class="queue-item-title">${escapeHtml(entry.fileName)}</div>
+        <div class="queue-item-details">
+          ${(entry.size / 1024 / 1024).toFixed(1)} MB • detected ${new Date(entry.detectedAt).toLocaleString()}
+        </div>
+      </div>
+      <div class="queue-item-actions">
+        <button class="btn btn-small btn-primary" data-action="assign" data-path="${escapeHtml(entry.filePath)}" data-name="${escapeHtml(entry.fileName)}">Assign ID</button>
+        <button class="btn btn-small btn-secondary" data-action="dismiss" data-id="${escapeHtml(entry.id)}">Dismiss</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+async function handleInboxAction(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  if (button.dataset.action === 'assign') {
+    if (!apiConnected) {
+      alert('Please login to API first');
+      return;
+    }
+    pendingFile = button.dataset.path;
+    openIdModal(button.dataset.name);
+  } else if (button.dataset.action === 'dismiss') {
+    await window.electron.dismissInboxItem(button.dataset.id);
+  }
+}
+
 // Queue Management
 async function loadQueue() {
   const queue = await window.electron.getQueue();
   renderQueue(queue);
+
+  const { paused, pauseReason } = await window.electron.getQueueState();
+  updatePauseButton(paused, pauseReason);
 }
 
 function renderQueue(queue) {
@@ -412,7 +1115,8 @@ function renderQueue(queue) {
   // Update upload bar for active processing
   const activeItem = queue.find(item =>
     item.status === 'compressing' ||
-    item.status === 'uploading'
+    item.status === 'uploading' ||
+    item.status === 'transcribing'
   );
 
   if (activeItem) {
@@ -440,28 +1144,132 @@ function renderQueue(queue) {
     return `
       <div class="queue-item status-${statusClass}">
         <div class="queue-item-header">
-          <div class="queue-item-title">${item.finalFileName}</div>
+          <div class="queue-item-title">${escapeHtml(item.finalFileName)}</div>
           <div class="queue-item-status ${statusClass}">${statusText}</div>
         </div>
         <div class="queue-item-details">
-          ${item.candidateName} • ${item.company} • ${item.interviewType}
+          ${escapeHtml(item.candidateName)} • ${escapeHtml(item.company)} • ${escapeHtml(item.interviewType)}${item.detectedLanguage ? ` • Language: ${escapeHtml(item.detectedLanguage)}` : ''}${item.redactionCount != null ? ` • Redactions: ${item.redactionCount}` : ''}
         </div>
         <div class="queue-item-progress">
-          ${item.currentStep}
+          ${escapeHtml(item.currentStep)}
         </div>
         ${item.status !== 'waiting' && item.status !== 'completed' ? `
           <div class="progress-bar">
             <div class="progress-fill" style="width: ${item.progress}%"></div>
           </div>
         ` : ''}
+        ${item.stages ? renderStages(item.stages) : ''}
         ${item.error ? `
-          <div class="queue-item-error">Error: ${item.error}</div>
+          <div class="queue-item-error">Error: ${escapeHtml(item.error)}</div>
         ` : ''}
+        ${renderItemActions(item)}
       </div>
     `;
   }).join('');
 }
 
+const STAGE_LABELS = {
+  compress: 'Compress',
+  drive: 'Drive',
+  youtube: 'YouTube',
+  transcribe: 'Transcribe',
+  transcriptUpload: 'Transcript',
+  captions: 'Captions',
+  apiUpdate: 'API'
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Stage status plus every failed attempt, shown when hovering a stage chip
+function getStageTooltip(record) {
+  const lines = [record.error || record.reason || record.status];
+
+  for (const attempt of record.attempts || []) {
+    const time = new Date(attempt.at).toLocaleTimeString();
+    lines.push(`Attempt ${attempt.attempt}/${attempt.maxAttempts} at ${time}: ${attempt.type} - ${attempt.error}`);
+  }
+
+  return escapeHtml(lines.join('\n'));
+}
+
+function renderStages(stages) {
+  return `
+    <div class="queue-item-stages">
+      ${Object.entries(stages).map(([name, record]) => `
+        <span class="stage-chip stage-${record.status}" title="${getStageTooltip(record)}">
+          ${STAGE_LABELS[name] || name}${record.status === 'running' && record.progress ? ` ${Math.floor(record.progress)}%` : ''}
+        </span>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderItemActions(item) {
+  const buttons = [];
+
+  if (['compressing', 'uploading', 'transcribing'].includes(item.status)) {
+    buttons.push(`<button class="btn btn-small btn-danger" data-action="cancel" data-id="${item.id}">Cancel</button>`);
+  }
+
+  if (item.status === 'failed' || item.status === 'cancelled') {
+    buttons.push(`<button class="btn btn-small" data-action="retry" data-id="${item.id}">Retry</button>`);
+  }
+
+  if (['waiting', 'failed', 'cancelled'].includes(item.status)) {
+    buttons.push(`<button class="btn btn-small btn-secondary" data-action="remove" data-id="${item.id}">Remove</button>`);
+  }
+
+  if (buttons.length === 0) {
+    return '';
+  }
+
+  return `<div class="queue-item-actions">${buttons.join('')}</div>`;
+}
+
+async function handleQueueAction(e) {
+  const button = e.target.closest('[data-action]');
+  if (!button) return;
+
+  const { action, id } = button.dataset;
+  let result;
+
+  if (action === 'retry') {
+    result = await window.electron.retryItem(id);
+  } else if (action === 'cancel') {
+    if (!confirm('Cancel this item? Running compression, transcription and uploads will be stopped.')) return;
+    result = await window.electron.cancelItem(id);
+  } else if (action === 'remove') {
+    result = await window.electron.removeItem(id);
+  }
+
+  if (result && !result.success) {
+    alert('❌ ' + result.error);
+  }
+}
+
+async function togglePause() {
+  const result = queuePaused
+    ? await window.electron.resumeQueue()
+    : await window.electron.pauseQueue();
+
+  updatePauseButton(result.paused, result.pauseReason);
+}
+
+function updatePauseButton(paused, pauseReason = null) {
+  queuePaused = paused;
+  const btnEl = document.getElementById('pauseQueueBtn');
+  btnEl.textContent = paused ? 'Resume' : 'Pause';
+  btnEl.title = pauseReason === 'auth'
+    ? 'Paused because Google credentials need re-authenticating'
+    : '';
+}
+
 async function clearCompleted() {
   await window.electron.clearCompleted();
   loadQueue();
@@ -523,6 +1331,11 @@ async function authenticateYouTube() {
   // Open browser
   await window.electron.openExternal(result.authUrl);
 
+  if (result.loopback) {
+    await waitForBrowserSignIn('YouTube', 'youtubeStatus', window.electron.youtubeAuthWait, updateYoutubeStatus);
+    return;
+  }
+
   // Show dialog with retry
   let attempts = 0;
   while (attempts < 3) {
@@ -1,9 +1,37 @@
-const Store = require('electron-store');
 const FormData = require('form-data');
 const fetch = require('node-fetch');
+const secrets = require('./secrets');
 require('dotenv').config();
 
-const tokenStore = new Store({ name: 'api-tokens' });
+// Used when the server gives no expiry in the token or the login response
+const DEFAULT_TOKEN_LIFETIME = 24 * 60 * 60 * 1000;
+// Log in again this long before the token actually expires
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Work out when a token expires: the JWT exp claim if present, otherwise the
+ * login response's expires_in (seconds), otherwise the default lifetime
+ */
+function getTokenExpiry(token, expiresIn) {
+    const parts = (token || '').split('.');
+
+    if (parts.length === 3) {
+        try {
+            const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+            if (typeof payload.exp === 'number') {
+                return payload.exp * 1000;
+            }
+        } catch (error) {
+            // Not a JWT; fall through
+        }
+    }
+
+    if (expiresIn) {
+        return Date.now() + Number(expiresIn) * 1000;
+    }
+
+    return Date.now() + DEFAULT_TOKEN_LIFETIME;
+}
 
 class APIAuth {
     constructor() {
@@ -12,19 +40,31 @@ class APIAuth {
         this.password = null;
         this.token = null;
         this.tokenExpiry = null;
+        // In-flight login shared by concurrent callers of getToken()
+        this.loginPromise = null;
     }
 
     /**
-     * Initialize with credentials from .env
+     * Initialize with credentials from .env. Credentials saved from the
+     * in-app login form take precedence, so .env passwords are optional.
+     * Called again when switching profiles, so any previous token is dropped.
      */
     initialize(baseUrl, email, password) {
-        this.baseUrl = baseUrl;
-        this.email = email;
-        this.password = password;
+        const saved = secrets.get('api-credentials');
 
-        // Try to load existing token from store
-        const stored = tokenStore.get('auth');
-        if (stored && stored.token && stored.expiry) {
+        this.baseUrl = baseUrl;
+        this.email = saved ? saved.email : email;
+        this.password = saved ? saved.password : password;
+        this.token = null;
+        this.tokenExpiry = null;
+        this.loginPromise = null;
+
+        // Try to load existing token from encrypted storage. A token issued
+        // by another API environment is useless here, so drop it.
+        const stored = secrets.get('api-token');
+        if (stored && stored.baseUrl && stored.baseUrl !== baseUrl) {
+            secrets.delete('api-token');
+        } else if (stored && stored.token && stored.expiry) {
             this.token = stored.token;
             this.tokenExpiry = stored.expiry;
             console.log(' Loaded stored auth token');
@@ -32,7 +72,8 @@ class APIAuth {
     }
 
     /**
-     * Login and get access token
+     * Login and get access token. Credentials passed in explicitly (from the
+     * login form) are saved encrypted once they work.
      */
     async login(email = null, password = null) {
         try {
@@ -74,17 +115,22 @@ class APIAuth {
             }
 
             this.token = data.access_token;
+            this.tokenExpiry = getTokenExpiry(data.access_token, data.expires_in);
 
-            // Store token with expiry (default 24 hours if not specified)
-            this.tokenExpiry = Date.now() + (24 * 60 * 60 * 1000);
-
-            // Persist to store
-            tokenStore.set('auth', {
+            // Persist encrypted
+            secrets.set('api-token', {
                 token: this.token,
-                expiry: this.tokenExpiry
+                expiry: this.tokenExpiry,
+                baseUrl: this.baseUrl
             });
 
-            console.log(' Login successful!');
+            if (email && password) {
+                this.email = email;
+                this.password = password;
+                secrets.set('api-credentials', { email, password });
+            }
+
+            console.log(' Login successful! Token valid until', new Date(this.tokenExpiry).toISOString());
             console.log(' Team:', data.team);
             console.log(' Login count:', data.login_count);
 
@@ -105,17 +151,22 @@ class APIAuth {
     }
 
     /**
-     * Get current valid token
+     * Get current valid token, logging in again shortly before it expires
      */
     async getToken() {
-        // Check if token exists and is not expired
-        if (this.token && this.tokenExpiry && Date.now() < this.tokenExpiry) {
+        if (this.token && this.tokenExpiry && Date.now() < this.tokenExpiry - REFRESH_MARGIN) {
             return this.token;
         }
 
-        // Token expired or doesn't exist, try to login again
-        console.log(' Token expired or missing, re-authenticating...');
-        const result = await this.login();
+        // Token expiring, expired or missing, try to login again
+        if (!this.loginPromise) {
+            console.log(' Token expiring or missing, re-authenticating...');
+            this.loginPromise = this.login().finally(() => {
+                this.loginPromise = null;
+            });
+        }
+
+        const result = await this.loginPromise;
 
         if (!result.success) {
             throw new Error('Authentication failed: ' + result.error);
@@ -124,6 +175,22 @@ class APIAuth {
         return this.token;
     }
 
+    /**
+     * Drop a token the server rejected so the next request logs in again
+     */
+    invalidateToken() {
+        this.token = null;
+        this.tokenExpiry = null;
+        secrets.delete('api-token');
+    }
+
+    /**
+     * Whether there are credentials to log in with (saved or from .env)
+     */
+    hasCredentials() {
+        return Boolean(this.email && this.password);
+    }
+
     /**
      * Check if currently authenticated
      */
@@ -132,12 +199,13 @@ class APIAuth {
     }
 
     /**
-     * Logout and clear token
+     * Logout and clear the token and any credentials saved from the login form
      */
     logout() {
         this.token = null;
         this.tokenExpiry = null;
-        tokenStore.delete('auth');
+        secrets.delete('api-token');
+        secrets.delete('api-credentials');
         console.log('🚪 Logged out');
     }
 
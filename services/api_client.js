@@ -2,6 +2,43 @@ const fetch = require('node-fetch');
 const apiAuth = require('./api_auth');
 require('dotenv').config();
 
+/**
+ * Transform an API interview record to the format expected by queue_manager
+ */
+function normalizeInterview(data) {
+    // Extract candidate name from nested candidate object
+    // The API returns: { id, candidate_id, candidate: { id, full_name, ... }, company, ... }
+    let candidateName = 'Unknown';
+    if (data.candidate && data.candidate.full_name) {
+        candidateName = data.candidate.full_name;
+    } else if (data.candidate_name) {
+        candidateName = data.candidate_name;
+    } else if (data.full_name) {
+        candidateName = data.full_name;
+    }
+
+    return {
+        id: data.id,
+        full_name: candidateName,
+        company: data.company,
+        type_of_interview: data.type_of_interview,
+        interview_date: data.interview_date,
+        recording_link: data.recording_link,
+        backup_recording_url: data.backup_recording_url
+    };
+}
+
+/**
+ * Error for a failed API response, carrying the HTTP status so the retry
+ * policy can tell server errors (retried) from client errors (not)
+ */
+async function responseError(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.detail || `${fallback}: ${response.status}`);
+    error.status = response.status;
+    return error;
+}
+
 class APIClient {
     constructor() {
         this.baseUrl = null;
@@ -14,6 +51,28 @@ class APIClient {
         this.baseUrl = baseUrl;
     }
 
+    /**
+     * Authenticated request to the API. A 401 means the server no longer
+     * accepts our token (revoked or expired early), so log in again and
+     * retry once.
+     */
+    async request(path, options = {}) {
+        const send = async () => fetch(`${this.baseUrl}${path}`, {
+            ...options,
+            headers: { ...(await apiAuth.getAuthHeaders()), ...options.headers }
+        });
+
+        const response = await send();
+
+        if (response.status !== 401) {
+            return response;
+        }
+
+        console.log('🔑 API returned 401, logging in again...');
+        apiAuth.invalidateToken();
+        return send();
+    }
+
     /**
      * Get interview details by ID
      * Replaces database.getInterviewDetails()
@@ -26,18 +85,15 @@ class APIClient {
 
             console.log(`📊 Fetching interview details for ID: ${interviewId}`);
 
-            const headers = await apiAuth.getAuthHeaders();
-            const response = await fetch(`${this.baseUrl}/api/interviews/${interviewId}`, {
-                method: 'GET',
-                headers: headers
+            const response = await this.request(`/api/interviews/${interviewId}`, {
+                method: 'GET'
             });
 
             if (!response.ok) {
                 if (response.status === 404) {
                     return null;
                 }
-                const error = await response.json().catch(() => ({ detail: 'Request failed' }));
-                throw new Error(error.detail || `API request failed: ${response.status}`);
+                throw await responseError(response, 'API request failed');
             }
 
             const data = await response.json();
@@ -45,27 +101,8 @@ class APIClient {
             // Log the raw API response for debugging
             console.log('📦 Raw API response:', JSON.stringify(data, null, 2));
 
-            // Extract candidate name from nested candidate object
-            // The API returns: { id, candidate_id, candidate: { id, full_name, ... }, company, ... }
-            let candidateName = 'Unknown';
-            if (data.candidate && data.candidate.full_name) {
-                candidateName = data.candidate.full_name;
-            } else if (data.candidate_name) {
-                candidateName = data.candidate_name;
-            } else if (data.full_name) {
-                candidateName = data.full_name;
-            }
-
             // Transform API response to match the format expected by queue_manager
-            const interview = {
-                id: data.id,
-                full_name: candidateName,
-                company: data.company,
-                type_of_interview: data.type_of_interview,
-                interview_date: data.interview_date,
-                recording_link: data.recording_link,
-                backup_recording_url: data.backup_recording_url
-            };
+            const interview = normalizeInterview(data);
 
             console.log('✅ Transformed interview data:', interview);
 
@@ -90,6 +127,66 @@ class APIClient {
         }
     }
 
+    /**
+     * Search interviews by candidate name, company, date range and
+     * whether a recording has been uploaded yet.
+     * Filters are sent as query parameters and also applied locally, so
+     * results stay correct if the server ignores any of them.
+     */
+    async searchInterviews(filters = {}) {
+        try {
+            if (!this.baseUrl) {
+                throw new Error('API base URL not configured');
+            }
+
+            const { candidate, company, dateFrom, dateTo, noRecording, limit = 20 } = filters;
+
+            const params = new URLSearchParams();
+            if (candidate) params.append('candidate_name', candidate);
+            if (company) params.append('company', company);
+            if (dateFrom) params.append('date_from', dateFrom);
+            if (dateTo) params.append('date_to', dateTo);
+            if (noRecording) params.append('no_recording', 'true');
+
+            const query = params.toString();
+            console.log(`🔎 Searching interviews: ${query || '(no filters)'}`);
+
+            const response = await this.request(`/api/interviews${query ? `?${query}` : ''}`, {
+                method: 'GET'
+            });
+
+            if (!response.ok) {
+                throw await responseError(response, 'API search failed');
+            }
+
+            const data = await response.json();
+            const records = Array.isArray(data) ? data : (data.items || data.results || data.data || []);
+
+            const candidateTerm = (candidate || '').trim().toLowerCase();
+            const companyTerm = (company || '').trim().toLowerCase();
+
+            const matches = records
+                .map(normalizeInterview)
+                .filter((interview) => {
+                    const date = (interview.interview_date || '').split('T')[0];
+
+                    if (candidateTerm && !(interview.full_name || '').toLowerCase().includes(candidateTerm)) return false;
+                    if (companyTerm && !(interview.company || '').toLowerCase().includes(companyTerm)) return false;
+                    if (dateFrom && date < dateFrom) return false;
+                    if (dateTo && date > dateTo) return false;
+                    if (noRecording && interview.recording_link && interview.recording_link.trim() !== '') return false;
+                    return true;
+                })
+                .sort((a, b) => (b.interview_date || '').localeCompare(a.interview_date || ''));
+
+            return matches.slice(0, limit);
+
+        } catch (error) {
+            console.error('❌ Interview search failed:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Update recording links for an interview
      * Replaces database.updateRecordingLinks()
@@ -102,8 +199,6 @@ class APIClient {
 
             console.log(`💾 Updating recording links for interview ID: ${interviewId}`);
 
-            const headers = await apiAuth.getAuthHeaders();
-
             const updateData = {
                 recording_link: driveLink,
                 backup_recording_url: backupPath
@@ -114,18 +209,18 @@ class APIClient {
                 updateData.transcript = transcriptLink;
             }
 
-            const response = await fetch(`${this.baseUrl}/api/interviews/${interviewId}`, {
+            const response = await this.request(`/api/interviews/${interviewId}`, {
                 method: 'PUT',
-                headers: headers,
                 body: JSON.stringify(updateData)
             });
 
             if (!response.ok) {
                 if (response.status === 404) {
-                    throw new Error('Interview not found');
+                    const error = new Error('Interview not found');
+                    error.status = 404;
+                    throw error;
                 }
-                const error = await response.json().catch(() => ({ detail: 'Update failed' }));
-                throw new Error(error.detail || `API update failed: ${response.status}`);
+                throw await responseError(response, 'API update failed');
             }
 
             const data = await response.json();
@@ -153,12 +248,9 @@ class APIClient {
 
             console.log(`📝 Logging job activity for interview ID: ${interviewId}`);
 
-            const headers = await apiAuth.getAuthHeaders();
-
             // First, get the job type ID by unique_id
-            const jobTypesResponse = await fetch(`${this.baseUrl}/api/job-types`, {
-                method: 'GET',
-                headers: headers
+            const jobTypesResponse = await this.request('/api/job-types', {
+                method: 'GET'
             });
 
             if (!jobTypesResponse.ok) {
@@ -175,9 +267,8 @@ class APIClient {
             }
 
             // Get the interview to extract candidate_id
-            const interviewResponse = await fetch(`${this.baseUrl}/api/interviews/${interviewId}`, {
-                method: 'GET',
-                headers: headers
+            const interviewResponse = await this.request(`/api/interviews/${interviewId}`, {
+                method: 'GET'
             });
 
             if (!interviewResponse.ok) {
@@ -206,9 +297,8 @@ class APIClient {
                 notes: notes
             };
 
-            const response = await fetch(`${this.baseUrl}/api/job_activity_logs`, {
+            const response = await this.request('/api/job_activity_logs', {
                 method: 'POST',
-                headers: headers,
                 body: JSON.stringify(activityData)
             });
 
@@ -237,10 +327,8 @@ class APIClient {
             }
 
             // Try to fetch interviews list as a connection test
-            const headers = await apiAuth.getAuthHeaders();
-            const response = await fetch(`${this.baseUrl}/api/interviews`, {
-                method: 'GET',
-                headers: headers
+            const response = await this.request('/api/interviews', {
+                method: 'GET'
             });
 
             return response.ok;
@@ -256,6 +344,7 @@ const apiClient = new APIClient();
 
 module.exports = {
     getInterviewDetails: (interviewId) => apiClient.getInterviewDetails(interviewId),
+    searchInterviews: (filters) => apiClient.searchInterviews(filters),
     updateRecordingLinks: (interviewId, driveLink, backupPath, transcriptLink, filename) =>
         apiClient.updateRecordingLinks(interviewId, driveLink, backupPath, transcriptLink, filename),
     testConnection: () => apiClient.testConnection(),
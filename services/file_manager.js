@@ -37,10 +37,21 @@ function ensureDirectoryExists(dirPath) {
 
 // OneDrive local sync removed - now using API in onedrive.js
 
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.avi', '.wmv', '.flv', '.webm'];
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.flac', '.ogg'];
+
 function isVideoFile(filename) {
-  const videoExtensions = ['.mp4', '.mov', '.mkv', '.avi', '.wmv', '.flv', '.webm'];
   const ext = path.extname(filename).toLowerCase();
-  return videoExtensions.includes(ext);
+  return VIDEO_EXTENSIONS.includes(ext);
+}
+
+function isAudioFile(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  return AUDIO_EXTENSIONS.includes(ext);
+}
+
+function isMediaFile(filename) {
+  return isVideoFile(filename) || isAudioFile(filename);
 }
 
 function generateTranscriptFileName(candidateName, company, interviewType, interviewDate) {
@@ -66,5 +77,7 @@ module.exports = {
   generateFileName,
   generateTranscriptFileName,
   ensureDirectoryExists,
-  isVideoFile
+  isVideoFile,
+  isAudioFile,
+  isMediaFile
 };
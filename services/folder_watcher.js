@@ -0,0 +1,211 @@
+const { v4: uuidv4 } = require('uuid');
+const path = require('path');
+const fs = require('fs');
+const Store = require('electron-store');
+const { isMediaFile } = require('./file_manager');
+
+const watchStore = new Store({ name: 'watch-inbox' });
+
+// How often to re-scan the folder and re-check growing files
+const POLL_INTERVAL = 5000;
+// Consecutive polls with an unchanged size before a file counts as finished
+const STABLE_CHECKS = 2;
+
+class FolderWatcher {
+  constructor() {
+    this.directory = null;
+    this.watcher = null;
+    this.pollTimer = null;
+    // filePath -> { size, stableChecks } for files still being written
+    this.growing = new Map();
+    this.inbox = watchStore.get('inbox', []);
+    this.seen = new Set(watchStore.get('seen', []));
+    this.updateCallback = null;
+  }
+
+  setUpdateCallback(callback) {
+    this.updateCallback = callback;
+  }
+
+  updateUI() {
+    watchStore.set('inbox', this.inbox);
+    watchStore.set('seen', Array.from(this.seen));
+
+    if (this.updateCallback) {
+      this.updateCallback(this.inbox);
+    }
+  }
+
+  /**
+   * Start watching a directory. The first time a directory is watched, the
+   * files already in it are treated as seen so only new recordings land in
+   * the inbox.
+   */
+  start(directory) {
+    this.stop();
+
+    if (!directory) {
+      return { success: true, watching: false };
+    }
+
+    if (!fs.existsSync(directory)) {
+      console.warn('⚠️ Watch folder not found:', directory);
+      return { success: false, error: `Watch folder not found: ${directory}` };
+    }
+
+    this.directory = directory;
+
+    const baselines = watchStore.get('baselines', {});
+    if (!baselines[directory]) {
+      for (const filePath of this.listMediaFiles()) {
+        this.seen.add(filePath);
+      }
+      baselines[directory] = Date.now();
+      watchStore.set('baselines', baselines);
+      this.updateUI();
+    }
+
+    try {
+      this.watcher = fs.watch(directory, (eventType, fileName) => {
+        if (fileName) {
+          this.trackFile(path.join(directory, fileName));
+        }
+      });
+      this.watcher.on('error', (error) => {
+        console.error('Watch folder error:', error.message);
+      });
+    } catch (error) {
+      // Polling below still picks up new files
+      console.warn('⚠️ fs.watch unavailable, falling back to polling:', error.message);
+    }
+
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL);
+    this.poll();
+
+    console.log('👀 Watching folder:', directory);
+    return { success: true, watching: true };
+  }
+
+  stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    this.growing.clear();
+    this.directory = null;
+  }
+
+  listMediaFiles() {
+    try {
+      return fs.readdirSync(this.directory)
+        .filter(fileName => !fileName.startsWith('.') && isMediaFile(fileName))
+        .map(fileName => path.join(this.directory, fileName));
+    } catch (error) {
+      console.error('Failed to scan watch folder:', error.message);
+      return [];
+    }
+  }
+
+  trackFile(filePath) {
+    if (this.seen.has(filePath) || this.growing.has(filePath)) {
+      return;
+    }
+
+    if (!isMediaFile(filePath) || path.basename(filePath).startsWith('.')) {
+      return;
+    }
+
+    this.growing.set(filePath, { size: -1, stableChecks: 0 });
+  }
+
+  poll() {
+    for (const filePath of this.listMediaFiles()) {
+      this.trackFile(filePath);
+    }
+
+    for (const [filePath, state] of this.growing) {
+      let size;
+      try {
+        size = fs.statSync(filePath).size;
+      } catch (error) {
+        // Deleted or renamed while being written
+        this.growing.delete(filePath);
+        continue;
+      }
+
+      if (size > 0 && size === state.size) {
+        state.stableChecks++;
+      } else {
+        state.size = size;
+        state.stableChecks = 0;
+      }
+
+      if (state.stableChecks >= STABLE_CHECKS) {
+        this.growing.delete(filePath);
+        this.addToInbox(filePath, size);
+      }
+    }
+
+    // Drop inbox entries whose files have gone away
+    const before = this.inbox.length;
+    this.inbox = this.inbox.filter(entry => fs.existsSync(entry.filePath));
+    if (this.inbox.length !== before) {
+      this.updateUI();
+    }
+  }
+
+  addToInbox(filePath, size) {
+    this.seen.add(filePath);
+
+    const entry = {
+      id: uuidv4(),
+      filePath,
+      fileName: path.basename(filePath),
+      size,
+      detectedAt: Date.now()
+    };
+
+    console.log('📥 New recording in watch folder:', entry.fileName);
+    this.inbox.push(entry);
+    this.updateUI();
+  }
+
+  getInbox() {
+    return this.inbox;
+  }
+
+  /**
+   * Remove a file from the inbox once it has been queued
+   */
+  markQueued(filePath) {
+    const before = this.inbox.length;
+    this.inbox = this.inbox.filter(entry => entry.filePath !== filePath);
+
+    if (this.inbox.length !== before) {
+      this.updateUI();
+    }
+  }
+
+  dismiss(entryId) {
+    const entry = this.inbox.find(e => e.id === entryId);
+
+    if (!entry) {
+      return { success: false, error: 'Inbox entry not found' };
+    }
+
+    this.inbox = this.inbox.filter(e => e.id !== entryId);
+    this.updateUI();
+
+    return { success: true };
+  }
+}
+
+const folderWatcher = new FolderWatcher();
+
+module.exports = folderWatcher;
@@ -0,0 +1,48 @@
+const { google } = require('googleapis');
+
+/**
+ * Create an OAuth client from a Google credentials file. options.onTokens is
+ * called with the full credentials whenever the client refreshes its access
+ * token, so the caller can persist them.
+ */
+function createClient(credentials, tokens, options = {}) {
+  const { client_id, client_secret, redirect_uris } = credentials.installed || credentials.web;
+
+  const oAuth2Client = new google.auth.OAuth2(
+    client_id,
+    client_secret,
+    redirect_uris[0]
+  );
+
+  if (tokens) {
+    oAuth2Client.setCredentials(tokens);
+  }
+
+  if (options.onTokens) {
+    // Refresh responses omit the refresh token, so merge with what we have
+    oAuth2Client.on('tokens', (refreshed) => {
+      options.onTokens({ ...oAuth2Client.credentials, ...refreshed });
+    });
+  }
+
+  return oAuth2Client;
+}
+
+/**
+ * Whether the tokens were granted every scope in the list. Google lets users
+ * untick individual scopes on a combined consent screen, so this is checked
+ * per service. Tokens without a scope field are assumed to be complete.
+ */
+function hasScopes(tokens, scopes) {
+  if (!tokens || !tokens.scope) {
+    return true;
+  }
+
+  const granted = new Set(tokens.scope.split(' '));
+  return scopes.every(scope => granted.has(scope));
+}
+
+module.exports = {
+  createClient,
+  hasScopes
+};
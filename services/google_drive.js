@@ -1,26 +1,29 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const { resumableUpload } = require('./resumable_upload');
+const { classifyError } = require('./retry_policy');
+const { createClient } = require('./google_auth');
+
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&fields=id';
 
 let drive = null;
 let auth = null;
 
-async function authenticate(credentials, tokens) {
+const SCOPES = [
+  'https://www.googleapis.com/auth/drive.file',
+  'https://www.googleapis.com/auth/drive'
+];
+
+/**
+ * Create the OAuth client for uploads. options.onTokens is called with the
+ * full credentials whenever the client refreshes its access token, so the
+ * caller can persist them.
+ */
+async function authenticate(credentials, tokens, options = {}) {
   try {
-    const { client_id, client_secret, redirect_uris } = credentials.installed || credentials.web;
-
-    const oAuth2Client = new google.auth.OAuth2(
-      client_id,
-      client_secret,
-      redirect_uris[0]
-    );
-
-    if (tokens) {
-      oAuth2Client.setCredentials(tokens);
-    }
-
-    auth = oAuth2Client;
-    drive = google.drive({ version: 'v3', auth });
+    const oAuth2Client = createClient(credentials, tokens, options);
+    setAuthClient(oAuth2Client);
 
     return { success: true, auth: oAuth2Client };
   } catch (error) {
@@ -29,7 +32,16 @@ async function authenticate(credentials, tokens) {
   }
 }
 
-async function getAuthUrl(credentials) {
+/**
+ * Use an OAuth client created elsewhere, e.g. one consent shared with YouTube.
+ * Passing null signs Drive out.
+ */
+function setAuthClient(oAuth2Client) {
+  auth = oAuth2Client;
+  drive = oAuth2Client ? google.drive({ version: 'v3', auth }) : null;
+}
+
+async function getAuthUrl(credentials, scopes = SCOPES) {
   const { client_id, client_secret, redirect_uris } = credentials.installed || credentials.web;
 
   const oAuth2Client = new google.auth.OAuth2(
@@ -40,10 +52,7 @@ async function getAuthUrl(credentials) {
 
   const authUrl = oAuth2Client.generateAuthUrl({
     access_type: 'offline',
-    scope: [
-      'https://www.googleapis.com/auth/drive.file',
-      'https://www.googleapis.com/auth/drive'
-    ]
+    scope: scopes
   });
 
   return { authUrl, oAuth2Client };
@@ -80,7 +89,20 @@ async function findOrCreateFolder(folderName, parentId = 'root') {
   return folder.data.id;
 }
 
-async function uploadFile(filePath, fileName, folderId) {
+// Content types by extension; anything else is a video
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.srt': 'application/x-subrip',
+  '.vtt': 'text/vtt',
+  '.json': 'application/json'
+};
+
+/**
+ * Upload a file in resumable chunks. options.session / options.onSession let
+ * the caller persist the session URI so a retry or app restart continues
+ * from the last confirmed byte.
+ */
+async function uploadFile(filePath, fileName, folderId, options = {}) {
   if (!drive) throw new Error('Drive not initialized');
 
   const fileMetadata = {
@@ -88,19 +110,19 @@ async function uploadFile(filePath, fileName, folderId) {
     parents: [folderId]
   };
 
-  const media = {
-    mimeType: fileName.endsWith('.txt') ? 'text/plain' : 'video/mp4',
-    body: fs.createReadStream(filePath)
-  };
-
-  const file = await drive.files.create({
-    resource: fileMetadata,
-    media: media,
-    fields: 'id',
-    timeout: 300000 // 5 min timeout
+  const file = await resumableUpload({
+    initUrl: DRIVE_UPLOAD_URL,
+    auth,
+    filePath,
+    metadata: fileMetadata,
+    mimeType: MIME_TYPES[path.extname(fileName).toLowerCase()] || 'video/mp4',
+    session: options.session,
+    onSession: options.onSession,
+    onProgress: options.onProgress,
+    signal: options.signal // Aborts the request when the queue item is cancelled
   });
 
-  return file.data.id;
+  return file.id;
 }
 
 async function makePublic(fileId) {
@@ -115,7 +137,7 @@ async function makePublic(fileId) {
   });
 }
 
-async function uploadToGoogleDrive(filePath, fileName, companyName, targetFolderId = null) {
+async function uploadToGoogleDrive(filePath, fileName, companyName, targetFolderId = null, options = {}) {
   try {
     let uploadFolderId;
 
@@ -131,7 +153,7 @@ async function uploadToGoogleDrive(filePath, fileName, companyName, targetFolder
     }
 
     // Upload file
-    const fileId = await uploadFile(filePath, fileName, uploadFolderId);
+    const fileId = await uploadFile(filePath, fileName, uploadFolderId, options);
 
     // DON'T make public - keep restricted to owner only
     // Files remain private and accessible only to the Drive account owner
@@ -139,11 +161,12 @@ async function uploadToGoogleDrive(filePath, fileName, companyName, targetFolder
     // Return file link (only accessible to owner)
     return `https://drive.google.com/file/d/${fileId}/view`;
   } catch (error) {
-    throw new Error(`Upload failed: ${error.message}`);
+    // Keep the original error as the cause so the retry policy can classify it
+    throw new Error(`Upload failed: ${error.message}`, { cause: error });
   }
 }
 
-async function uploadTranscriptToGoogleDrive(filePath, fileName, companyName, targetFolderId = null) {
+async function uploadTranscriptToGoogleDrive(filePath, fileName, companyName, targetFolderId = null, options = {}) {
   try {
     let uploadFolderId;
 
@@ -160,7 +183,7 @@ async function uploadTranscriptToGoogleDrive(filePath, fileName, companyName, ta
     }
 
     // Upload file
-    const fileId = await uploadFile(filePath, fileName, uploadFolderId);
+    const fileId = await uploadFile(filePath, fileName, uploadFolderId, options);
 
     // DON'T make public - keep restricted to owner only
     // Transcripts contain sensitive interview data and must remain private
@@ -168,14 +191,41 @@ async function uploadTranscriptToGoogleDrive(filePath, fileName, companyName, ta
     // Return file link (only accessible to owner)
     return `https://drive.google.com/file/d/${fileId}/view`;
   } catch (error) {
-    throw new Error(`Transcript upload failed: ${error.message}`);
+    throw new Error(`Transcript upload failed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Pre-flight check that the saved credentials still work. valid is false when
+ * the token was revoked or never granted, and null when the check itself
+ * could not reach Google (e.g. offline).
+ */
+async function checkAuth() {
+  if (!drive) {
+    return { valid: false, revoked: false, error: 'Drive not authenticated' };
+  }
+
+  try {
+    await drive.about.get({ fields: 'user' });
+    return { valid: true };
+  } catch (error) {
+    const errorType = classifyError(error);
+
+    if (errorType === 'auth') {
+      return { valid: false, revoked: true, error: error.message };
+    }
+
+    return { valid: null, error: error.message };
   }
 }
 
 module.exports = {
   authenticate,
+  setAuthClient,
+  checkAuth,
   getAuthUrl,
   getTokenFromCode,
+  SCOPES,
   uploadToGoogleDrive,
   uploadTranscriptToGoogleDrive
 };
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { searchInterviews } = require('./api_client');
+
+// How far either side of the recording date to look for interviews
+const SEARCH_WINDOW_DAYS = 3;
+
+// Filename tokens added by Zoom/Teams/OBS that never identify an interview
+const NOISE_TOKENS = new Set([
+  'zoom', 'teams', 'meeting', 'recording', 'recorded', 'record', 'video', 'audio',
+  'gmt', 'utc', 'interview', 'call', 'screen', 'share', 'mp4', 'm4a', 'final',
+  'and', 'the', 'with', 'of', 'inc', 'llc', 'ltd', 'corp'
+]);
+
+// Relative weight of each signal in the confidence score (sums to 1)
+const WEIGHTS = {
+  date: 0.4,
+  candidate: 0.35,
+  company: 0.15,
+  noRecording: 0.1
+};
+
+function tokenize(text) {
+  return (text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/([a-z])([0-9])|([0-9])([a-z])/g, '$1$3 $2$4')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !/^\d+$/.test(token) && !NOISE_TOKENS.has(token));
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length >= 4 && b.length >= 4 && (a.startsWith(b) || b.startsWith(a))) return 0.9;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Fraction of the target tokens (e.g. a candidate's first and last name)
+ * that fuzzily appear in the filename tokens.
+ */
+function tokenMatchScore(targetText, fileTokens) {
+  const targetTokens = tokenize(targetText);
+
+  if (targetTokens.length === 0 || fileTokens.length === 0) {
+    return 0;
+  }
+
+  const total = targetTokens.reduce((sum, target) => {
+    const best = Math.max(...fileTokens.map(token => similarity(target, token)));
+    return sum + (best >= 0.75 ? best : 0);
+  }, 0);
+
+  return total / targetTokens.length;
+}
+
+function toDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function daysBetween(dateA, dateB) {
+  const a = Date.parse(`${dateA}T00:00:00Z`);
+  const b = Date.parse(`${dateB}T00:00:00Z`);
+  return Math.abs(a - b) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Work out which day a recording was made. A date embedded in the filename
+ * (e.g. Zoom's GMT20240115-150000) wins over file timestamps, which change
+ * when files are copied.
+ */
+function getRecordingDate(filePath) {
+  const embedded = path.basename(filePath).match(/(20\d{2})[-_.]?(0[1-9]|1[0-2])[-_.]?(0[1-9]|[12]\d|3[01])/);
+  if (embedded) {
+    return { date: `${embedded[1]}-${embedded[2]}-${embedded[3]}`, source: 'filename' };
+  }
+
+  const stats = fs.statSync(filePath);
+  const created = stats.birthtimeMs > 0 ? stats.birthtime : stats.mtime;
+  return { date: toDateString(created), source: 'file timestamp' };
+}
+
+function scoreInterview(interview, recordingDate, fileTokens) {
+  const interviewDate = (interview.interview_date || '').split('T')[0];
+  const dayDiff = interviewDate ? daysBetween(recordingDate, interviewDate) : Infinity;
+
+  const scores = {
+    date: Math.max(0, 1 - dayDiff / (SEARCH_WINDOW_DAYS + 1)),
+    candidate: tokenMatchScore(interview.full_name, fileTokens),
+    company: tokenMatchScore(interview.company, fileTokens),
+    noRecording: interview.recording_link && interview.recording_link.trim() !== '' ? 0 : 1
+  };
+
+  const confidence = Object.keys(WEIGHTS)
+    .reduce((sum, key) => sum + WEIGHTS[key] * scores[key], 0);
+
+  return {
+    interview,
+    confidence: Math.round(confidence * 100) / 100,
+    scores
+  };
+}
+
+/**
+ * Rank interviews that could belong to a recording, best match first
+ */
+async function matchRecording(filePath, options = {}) {
+  const { limit = 5 } = options;
+  const recording = getRecordingDate(filePath);
+  const fileTokens = tokenize(path.parse(filePath).name);
+
+  const center = Date.parse(`${recording.date}T00:00:00Z`);
+  const windowMs = SEARCH_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const isoDate = (ms) => new Date(ms).toISOString().split('T')[0];
+
+  console.log(`🔗 Matching ${path.basename(filePath)} (recorded ${recording.date} from ${recording.source})`);
+
+  const candidates = await searchInterviews({
+    dateFrom: isoDate(center - windowMs),
+    dateTo: isoDate(center + windowMs),
+    limit: 200
+  });
+
+  const matches = candidates
+    .map(interview => scoreInterview(interview, recording.date, fileTokens))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+
+  return {
+    recordingDate: recording.date,
+    dateSource: recording.source,
+    matches
+  };
+}
+
+module.exports = {
+  matchRecording,
+  scoreInterview,
+  tokenize
+};
@@ -0,0 +1,148 @@
+const http = require('http');
+const crypto = require('crypto');
+const { google } = require('googleapis');
+
+const CALLBACK_PATH = '/oauth2callback';
+// Give up if the user never finishes signing in
+const DEFAULT_TIMEOUT = 5 * 60 * 1000;
+
+const RESULT_PAGE = (message) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Interview Uploader</title></head>
+<body style="font-family: -apple-system, sans-serif; text-align: center; padding-top: 80px;">
+  <h2>${message}</h2>
+  <p>You can close this window and return to the app.</p>
+</body>
+</html>`;
+
+function loopbackUnavailable(message) {
+  const error = new Error(message);
+  error.code = 'LOOPBACK_UNAVAILABLE';
+  return error;
+}
+
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      server.removeListener('error', reject);
+      resolve(server.address().port);
+    });
+  });
+}
+
+/**
+ * Start an OAuth sign-in that redirects back to a one-off server on
+ * 127.0.0.1, so the user never has to copy the authorization code.
+ * Uses PKCE and a random state value to bind the response to this request.
+ *
+ * Resolves with { authUrl, waitForTokens, cancel }. waitForTokens() resolves
+ * with the tokens once the browser redirects back. Rejects with
+ * code 'LOOPBACK_UNAVAILABLE' when a loopback server can't be used, in which
+ * case the caller should fall back to pasting the code manually.
+ */
+async function startLoopbackFlow(credentials, scopes, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT } = options;
+
+  // Only "Desktop app" OAuth clients accept arbitrary loopback ports
+  if (!credentials.installed) {
+    throw loopbackUnavailable('OAuth client is not a desktop app client');
+  }
+
+  const { client_id, client_secret } = credentials.installed;
+  const server = http.createServer();
+
+  let port;
+  try {
+    port = await listen(server);
+  } catch (error) {
+    throw loopbackUnavailable(`Could not start loopback server: ${error.message}`);
+  }
+
+  const redirectUri = `http://127.0.0.1:${port}${CALLBACK_PATH}`;
+  const oAuth2Client = new google.auth.OAuth2(client_id, client_secret, redirectUri);
+  const { codeVerifier, codeChallenge } = await oAuth2Client.generateCodeVerifierAsync();
+  const state = crypto.randomBytes(16).toString('hex');
+
+  const authUrl = oAuth2Client.generateAuthUrl({
+    access_type: 'offline',
+    scope: scopes,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  let settle;
+  const result = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  // A flow can be cancelled before anyone waits on it
+  result.catch(() => {});
+
+  const timer = setTimeout(() => {
+    finish(new Error('Timed out waiting for Google sign-in'));
+  }, timeout);
+
+  function finish(error, tokens) {
+    clearTimeout(timer);
+    server.close();
+
+    if (error) {
+      settle.reject(error);
+    } else {
+      settle.resolve(tokens);
+    }
+  }
+
+  server.on('request', async (req, res) => {
+    const url = new URL(req.url, redirectUri);
+
+    if (url.pathname !== CALLBACK_PATH) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    // Ignore anything that didn't come from our own auth request
+    if (url.searchParams.get('state') !== state) {
+      res.writeHead(400, { 'Content-Type': 'text/html' });
+      res.end(RESULT_PAGE('Sign-in request did not match. Please try again from the app.'));
+      return;
+    }
+
+    const denied = url.searchParams.get('error');
+    if (denied) {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(RESULT_PAGE('Sign-in was cancelled.'));
+      finish(new Error(`Authorization denied: ${denied}`));
+      return;
+    }
+
+    try {
+      const { tokens } = await oAuth2Client.getToken({
+        code: url.searchParams.get('code'),
+        codeVerifier
+      });
+
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(RESULT_PAGE('✅ Signed in successfully'));
+      finish(null, tokens);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/html' });
+      res.end(RESULT_PAGE('Sign-in failed. Please try again from the app.'));
+      finish(error);
+    }
+  });
+
+  console.log(`🔐 Waiting for OAuth redirect on ${redirectUri}`);
+
+  return {
+    authUrl,
+    waitForTokens: () => result,
+    cancel: () => finish(new Error('Sign-in cancelled'))
+  };
+}
+
+module.exports = {
+  startLoopbackFlow
+};
@@ -0,0 +1,155 @@
+const { v4: uuidv4 } = require('uuid');
+const Store = require('electron-store');
+const secrets = require('./secrets');
+
+const profileStore = new Store({ name: 'profiles' });
+
+// Settings that belong to a profile rather than to the whole app. Empty
+// values fall back to .env, so the default profile keeps working unchanged.
+const PROFILE_FIELDS = ['name', 'apiBaseUrl', 'driveFolderId', 'transcriptFolderId', 'compressedStorage', 'googleAccounts'];
+
+// The default profile keeps the unprefixed secrets written before profiles
+// existed, so upgrading doesn't sign anyone out
+const DEFAULT_PROFILE_ID = 'default';
+
+function secretScope(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? '' : `profile:${profileId}:`;
+}
+
+/**
+ * Named bundles of API environment, Google accounts and storage paths. Each
+ * profile has its own API login and Google tokens in the secrets store.
+ */
+class ProfileManager {
+  constructor() {
+    this.profiles = [];
+    this.activeId = DEFAULT_PROFILE_ID;
+  }
+
+  /**
+   * Load saved profiles. The first run creates a default profile from the
+   * settings that used to be global.
+   */
+  load(legacyConfig = {}) {
+    this.profiles = profileStore.get('profiles', []);
+
+    if (this.profiles.length === 0) {
+      this.profiles = [{
+        id: DEFAULT_PROFILE_ID,
+        name: 'Default',
+        apiBaseUrl: '',
+        driveFolderId: legacyConfig.driveFolderId || '',
+        transcriptFolderId: '',
+        compressedStorage: legacyConfig.compressedStorage || '',
+        googleAccounts: legacyConfig.googleAccounts || 'separate'
+      }];
+      this.save();
+    }
+
+    const activeId = profileStore.get('activeProfileId', DEFAULT_PROFILE_ID);
+    this.activeId = this.get(activeId) ? activeId : this.profiles[0].id;
+    secrets.setScope(secretScope(this.activeId));
+
+    return this.getActive();
+  }
+
+  save() {
+    profileStore.set('profiles', this.profiles);
+    profileStore.set('activeProfileId', this.activeId);
+  }
+
+  list() {
+    return this.profiles;
+  }
+
+  get(profileId) {
+    return this.profiles.find(p => p.id === profileId) || null;
+  }
+
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  isDefault(profileId) {
+    return profileId === DEFAULT_PROFILE_ID;
+  }
+
+  create(name) {
+    const active = this.getActive();
+    const profile = {
+      id: uuidv4(),
+      name: name || 'New profile',
+      apiBaseUrl: '',
+      driveFolderId: '',
+      transcriptFolderId: '',
+      compressedStorage: active ? active.compressedStorage : '',
+      googleAccounts: active ? active.googleAccounts : 'separate'
+    };
+
+    this.profiles.push(profile);
+    this.save();
+
+    return { success: true, profile };
+  }
+
+  update(profileId, fields) {
+    const profile = this.get(profileId);
+
+    if (!profile) {
+      return { success: false, error: 'Profile not found' };
+    }
+
+    for (const field of PROFILE_FIELDS) {
+      if (fields[field] !== undefined) {
+        profile[field] = typeof fields[field] === 'string' ? fields[field].trim() : fields[field];
+      }
+    }
+
+    if (!profile.name) {
+      profile.name = 'Untitled profile';
+    }
+
+    this.save();
+    return { success: true, profile };
+  }
+
+  /**
+   * Make a profile active. Secrets are read from its scope from now on.
+   */
+  setActive(profileId) {
+    if (!this.get(profileId)) {
+      return { success: false, error: 'Profile not found' };
+    }
+
+    this.activeId = profileId;
+    secrets.setScope(secretScope(profileId));
+    this.save();
+
+    return { success: true, profile: this.getActive() };
+  }
+
+  remove(profileId) {
+    if (profileId === this.activeId) {
+      return { success: false, error: 'Switch to another profile before deleting this one' };
+    }
+
+    if (this.isDefault(profileId)) {
+      return { success: false, error: 'The default profile cannot be deleted' };
+    }
+
+    if (!this.get(profileId)) {
+      return { success: false, error: 'Profile not found' };
+    }
+
+    this.profiles = this.profiles.filter(p => p.id !== profileId);
+    secrets.clearScope(secretScope(profileId));
+    this.save();
+
+    return { success: true };
+  }
+}
+
+const profiles = new ProfileManager();
+
+module.exports = profiles;
+module.exports.PROFILE_FIELDS = PROFILE_FIELDS;
@@ -4,37 +4,256 @@ const fs = require('fs');
 require('dotenv').config();
 const { compressVideo } = require('./video_compressor');
 const { uploadToGoogleDrive, uploadTranscriptToGoogleDrive } = require('./google_drive');
-const { uploadToYouTube } = require('./youtube');
-const { generateFileName, generateTranscriptFileName } = require('./file_manager');
+const { uploadToYouTube, uploadCaptions, canUploadCaptions } = require('./youtube');
+const { generateFileName, generateTranscriptFileName, isAudioFile } = require('./file_manager');
 const { transcribeVideo, initializeWhisper } = require('./transcription');
+const { getSpeakerNames } = require('./transcript_formats');
+const { buildRules, redactTranscriptFiles } = require('./redaction');
 const { getInterviewDetails, updateRecordingLinks } = require('./api_client');
+const { withRetry, ERROR_TYPES } = require('./retry_policy');
+const workspaces = require('./workspaces');
 const Store = require('electron-store');
 
 const scheduledDeletions = new Store({ name: 'scheduled-deletions' });
+const queueStore = new Store({ name: 'upload-queue' });
+
+// Statuses that mean an item was mid-flight when the app last exited
+const ACTIVE_STATUSES = ['compressing', 'uploading', 'transcribing'];
+
+// Pipeline stages. Each stage records its output on item.stages so a retry
+// can skip the ones that already succeeded. A stage starts once every stage
+// in `after` has settled. YouTube and transcription read the original file,
+// so they run alongside compression and the Drive upload of the same item.
+// Optional stages may fail without failing the whole item.
+// Stages run in worker pools so one item can compress while another uploads.
+// `weight` is the stage's share of the item's combined progress bar.
+// `auth` names the Google account a stage needs, for the pre-flight check.
+const STAGES = [
+  { name: 'compress', label: 'Compression', run: 'runCompressStage', pool: 'compress', after: [], weight: 40 },
+  { name: 'drive', label: 'Google Drive upload', run: 'runDriveStage', pool: 'upload', after: ['compress'], weight: 20, auth: 'drive' },
+  { name: 'youtube', label: 'YouTube upload', run: 'runYouTubeStage', pool: 'upload', after: [], weight: 20, auth: 'youtube' },
+  { name: 'transcribe', label: 'Transcription', run: 'runTranscribeStage', pool: 'transcribe', after: [], weight: 15, optional: true },
+  { name: 'transcriptUpload', label: 'Transcript upload', run: 'runTranscriptUploadStage', pool: 'upload', after: ['transcribe'], weight: 2, optional: true, auth: 'drive' },
+  { name: 'captions', label: 'YouTube captions', run: 'runCaptionsStage', pool: 'upload', after: ['youtube', 'transcribe'], weight: 2, optional: true, auth: 'youtube' },
+  { name: 'apiUpdate', label: 'API update', run: 'runApiUpdateStage', pool: 'upload', after: ['drive', 'youtube', 'transcriptUpload'], weight: 3 }
+];
+
+const STAGES_BY_NAME = Object.fromEntries(STAGES.map(stage => [stage.name, stage]));
+
+// Default number of stages each pool runs at once (overridable in settings)
+const DEFAULT_CONCURRENCY = {
+  compress: 1,
+  upload: 2,
+  transcribe: 1
+};
+
+function createStageRecords() {
+  const stages = {};
+  for (const stage of STAGES) {
+    stages[stage.name] = {
+      status: 'pending',
+      output: null,
+      error: null,
+      attempts: [],
+      completedAt: null
+    };
+  }
+  return stages;
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDuration(seconds) {
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  }
+  if (seconds >= 60) {
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * "Uploading to YouTube: 42% • 120.5 MB / 300.0 MB • 4.2 MB/s • ETA 3m 20s"
+ */
+function formatTransferStep(label, transfer) {
+  const { bytesSent, totalBytes, bytesPerSecond, etaSeconds } = transfer;
+  const percent = totalBytes ? Math.floor((bytesSent / totalBytes) * 100) : 100;
+  const parts = [`${label}: ${percent}%`, `${formatBytes(bytesSent)} / ${formatBytes(totalBytes)}`];
+
+  if (bytesPerSecond > 0) {
+    parts.push(`${formatBytes(bytesPerSecond)}/s`);
+  }
+  if (etaSeconds !== null && etaSeconds !== undefined && bytesSent < totalBytes) {
+    parts.push(`ETA ${formatDuration(etaSeconds)}`);
+  }
+
+  return parts.join(' • ');
+}
+
+/**
+ * Video ID from a https://www.youtube.com/watch?v=... link
+ */
+function getYouTubeVideoId(link) {
+  try {
+    return new URL(link).searchParams.get('v');
+  } catch (error) {
+    return null;
+  }
+}
+
+function isStageFinished(record) {
+  return record.status === 'done' || record.status === 'skipped';
+}
+
+/**
+ * A stage is settled when later stages no longer need to wait for it
+ */
+function isStageSettled(stage, record) {
+  return isStageFinished(record) || (stage.optional && record.status === 'failed');
+}
 
 class QueueManager {
   constructor() {
     this.queue = [];
-    this.processing = false;
+    this.paused = false;
     this.updateCallback = null;
     this.config = null;
+    // itemId -> { controller, processes, stages } for items with a stage running
+    this.jobs = new Map();
+    // Number of stages currently running in each worker pool
+    this.poolUsage = { compress: 0, upload: 0, transcribe: 0 };
+    // Why the queue is paused: 'user' or 'auth' (credentials need renewing)
+    this.pauseReason = null;
+    // Async check of Google credentials, run when the queue goes from idle to busy
+    this.preflight = null;
+    this.preflightPassed = false;
+    this.preflightRunning = false;
+    this.authErrorCallback = null;
+    // False until restoreQueue has merged the saved queue in, so items added
+    // during startup don't overwrite it on disk
+    this.restored = false;
   }
 
   setConfig(config) {
     this.config = config;
   }
 
+  /**
+   * check(services) resolves to { ok, problems } for the Google accounts
+   * ('drive', 'youtube') that pending stages need
+   */
+  setPreflight(check) {
+    this.preflight = check;
+  }
+
+  /**
+   * Called with (service, message) when an upload fails because its
+   * credentials were revoked or expired
+   */
+  setAuthErrorCallback(callback) {
+    this.authErrorCallback = callback;
+  }
+
   setUpdateCallback(callback) {
     this.updateCallback = callback;
   }
 
   updateUI() {
+    this.persistQueue();
+
     if (this.updateCallback) {
       this.updateCallback(this.queue);
     }
   }
 
-  async addVideo(filePath, interviewId) {
+  persistQueue() {
+    if (!this.restored) {
+      return;
+    }
+
+    try {
+      queueStore.set('items', this.queue);
+    } catch (error) {
+      console.error('Failed to persist queue:', error.message);
+    }
+  }
+
+  /**
+   * Reload the queue saved by a previous run and resume unfinished items.
+   * Items that were mid-flight go back to 'waiting'; the scheduler skips the
+   * stages that already completed.
+   */
+  restoreQueue() {
+    // Workspaces and partial videos not belonging to this run were left by
+    // a crash. Items queued during startup may already be running.
+    workspaces.sweep();
+    if (this.config && this.config.compressedStorage) {
+      const videosDir = path.join(this.config.compressedStorage, 'videos');
+      const running = this.queue
+        .filter(item => this.jobs.has(item.id))
+        .map(item => workspaces.partialPath(path.join(videosDir, item.finalFileName)));
+      workspaces.sweepPartials(videosDir, running);
+    }
+
+    const stored = queueStore.get('items', []);
+    const saved = Array.isArray(stored) ? stored : [];
+    this.restored = true;
+
+    for (const item of saved) {
+      item.stages = { ...createStageRecords(), ...item.stages };
+
+      for (const record of Object.values(item.stages)) {
+        if (record.status === 'running') {
+          record.status = 'pending';
+        }
+      }
+
+      if (ACTIVE_STATUSES.includes(item.status)) {
+        const next = this.getNextStage(item);
+        item.status = 'waiting';
+        item.currentStep = next
+          ? `Resuming after restart (${next.label})`
+          : 'Resuming after restart';
+      }
+    }
+
+    // Keep anything queued while the app was still starting up
+    this.queue = [...saved, ...this.queue];
+    if (saved.length > 0) {
+      console.log(` Restored ${saved.length} queue item(s) from disk`);
+    }
+    this.updateUI();
+    this.processQueue();
+  }
+
+  getNextStage(item) {
+    return STAGES.find(stage => !isStageSettled(stage, item.stages[stage.name])) || null;
+  }
+
+  /**
+   * Pending stages whose dependencies have all settled
+   */
+  getReadyStages(item) {
+    return STAGES.filter(stage =>
+      item.stages[stage.name].status === 'pending' &&
+      stage.after.every(name => isStageSettled(STAGES_BY_NAME[name], item.stages[name]))
+    );
+  }
+
+  getStageOutput(item, stageName) {
+    const record = item.stages[stageName];
+    return (record && record.status === 'done' && record.output) || {};
+  }
+
+  /**
+   * options.transcription holds this item's { language, model, firstSpeaker,
+   * threads, beamSize, bestOf } choice from the preview modal; unset fields
+   * use the transcription settings
+   */
+  async addVideo(filePath, interviewId, options = {}) {
     try {
       console.log('🎯 addVideo called:', { filePath, interviewId });
 
@@ -68,7 +287,13 @@ class QueueManager {
         company: details.company,
         interviewType: details.type_of_interview,
         interviewDate: details.interview_date,
+        // Where the item's links go; it only runs while this is still active
+        profileId: this.config.profileId || null,
+        apiBaseUrl: this.config.apiBaseUrl || null,
         finalFileName: finalFileName,
+        transcription: options.transcription || null,
+        detectedLanguage: null,
+        stages: createStageRecords(),
         status: 'waiting',
         progress: 0,
         currentStep: 'Waiting in queue',
@@ -83,13 +308,7 @@ class QueueManager {
       console.log(' Queue length:', this.queue.length);
       this.updateUI();
 
-      // Start processing if not already running
-      if (!this.processing) {
-        console.log(' Starting queue processing...');
-        this.processQueue();
-      } else {
-        console.log(' Queue already processing...');
-      }
+      this.processQueue();
 
       return { success: true, item: queueItem, details };
 
@@ -98,28 +317,138 @@ class QueueManager {
     }
   }
 
-  async processQueue() {
-    this.processing = true;
+  getConcurrency(pool) {
+    const configured = this.config && this.config.concurrency && parseInt(this.config.concurrency[pool]);
+    return configured > 0 ? configured : DEFAULT_CONCURRENCY[pool];
+  }
+
+  /**
+   * Start every ready stage that has a free worker. A stage only starts once
+   * the stages it depends on have settled, so per-item ordering is kept.
+   * Called whenever an item is added or a stage completes.
+   */
+  processQueue() {
+    if (this.paused || this.preflightRunning) {
+      return;
+    }
+
+    const ready = [];
+
+    for (const item of this.queue) {
+      if (!this.isActiveItem(item) || !this.belongsToActiveProfile(item)) {
+        continue;
+      }
+
+      if (!this.getNextStage(item)) {
+        if (!this.jobs.has(item.id)) {
+          this.completeItem(item);
+        }
+        continue;
+      }
+
+      for (const stage of this.getReadyStages(item)) {
+        ready.push({ item, stage });
+      }
+    }
+
+    // A new run starts when an idle queue picks up work; check the Google
+    // credentials first so a revoked token doesn't fail uploads mid-queue
+    if (this.jobs.size === 0) {
+      if (ready.length === 0) {
+        this.preflightPassed = false;
+        return;
+      }
+
+      if (this.preflight && !this.preflightPassed) {
+        this.runPreflight();
+        return;
+      }
+    }
+
+    for (const { item, stage } of ready) {
+      if (this.poolUsage[stage.pool] >= this.getConcurrency(stage.pool)) {
+        continue;
+      }
+
+      this.runStage(item, stage);
+    }
+  }
+
+  isActiveItem(item) {
+    return item.status === 'waiting' || ACTIVE_STATUSES.includes(item.status);
+  }
+
+  /**
+   * Whether an item was queued under the active profile and API environment.
+   * Items from another one would upload to the wrong Drive and YouTube
+   * accounts and send their interview ID to the wrong API. Items queued
+   * before profiles existed belong to the default profile.
+   */
+  belongsToActiveProfile(item) {
+    if (!this.config) {
+      return true;
+    }
+
+    const profileId = item.profileId || 'default';
+    const sameProfile = !this.config.profileId || profileId === this.config.profileId;
+    const sameApi = !item.apiBaseUrl || item.apiBaseUrl === this.config.apiBaseUrl;
 
-    while (this.queue.some(item => item.status === 'waiting')) {
-      const nextItem = this.queue.find(item => item.status === 'waiting');
+    return sameProfile && sameApi;
+  }
+
+  async runPreflight() {
+    const services = new Set();
+
+    for (const item of this.queue) {
+      if (!this.isActiveItem(item)) {
+        continue;
+      }
 
-      if (nextItem) {
-        try {
-          await this.processItem(nextItem);
-        } catch (error) {
-          console.error('Processing failed:', error);
+      for (const stage of STAGES) {
+        if (stage.auth && item.stages[stage.name].status === 'pending') {
+          services.add(stage.auth);
         }
       }
     }
 
-    this.processing = false;
+    this.preflightRunning = true;
+
+    try {
+      const result = await this.preflight(Array.from(services));
+
+      if (result.ok) {
+        this.preflightPassed = true;
+      } else {
+        console.warn('⚠️ Pre-flight check failed:', result.problems.join('; '));
+        this.pause('auth');
+        this.updateUI();
+      }
+    } catch (error) {
+      // The check itself broke; let the uploads surface any real problem
+      console.error('Pre-flight check error:', error.message);
+      this.preflightPassed = true;
+    } finally {
+      this.preflightRunning = false;
+    }
+
+    this.processQueue();
   }
 
-  async processItem(item) {
+  async runStage(item, stage) {
+    const job = this.startJob(item, stage);
+    const record = item.stages[stage.name];
+
+    this.poolUsage[stage.pool]++;
+    record.status = 'running';
+    record.error = null;
+    record.attempts = [];
+    record.progress = 0;
+    record.detail = `${stage.label}...`;
+    this.refreshItemProgress(item);
+    this.updateUI();
+
     try {
-      console.log(' Processing item:', item.finalFileName);
-      console.log(' Config:', this.config);
+      console.log(` ${stage.label}: ${item.finalFileName}`);
 
       if (!this.config) {
         throw new Error('Configuration not set');
@@ -129,204 +458,670 @@ class QueueManager {
         throw new Error('Compressed storage path not configured');
       }
 
-      // Step 1: Compress
-      item.status = 'compressing';
-      item.currentStep = 'Compressing video...';
+      const output = await this[stage.run](item, job);
+
+      if (job.controller.signal.aborted) {
+        throw new Error('Cancelled');
+      }
+
+      if (output && output.skipped) {
+        record.status = 'skipped';
+        record.output = null;
+        record.reason = output.reason;
+      } else {
+        record.status = 'done';
+        record.output = output || {};
+      }
+      record.completedAt = Date.now();
+
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        // Cancelled: leave the stage pending so a retry runs it again
+        console.log(` ${stage.label} cancelled:`, item.finalFileName);
+        record.status = 'pending';
+        item.status = 'cancelled';
+        item.error = null;
+        item.currentStep = 'Cancelled';
+      } else {
+        record.status = 'failed';
+        record.error = error.message;
+        record.errorType = error.errorType || null;
+
+        if (record.errorType === 'auth' && stage.auth) {
+          // Every other upload to this account would fail the same way
+          this.pause('auth');
+          if (this.authErrorCallback) {
+            this.authErrorCallback(stage.auth, error.message);
+          }
+        }
+
+        if (stage.optional) {
+          console.error(` ${stage.label} failed, continuing:`, error.message);
+        } else {
+          // Other stages of this item that are still running finish and keep
+          // their output, so a retry only redoes what failed
+          console.error(' Processing failed:', error);
+          item.status = 'failed';
+          item.error = `${stage.label} failed: ${error.message}`;
+          item.currentStep = `Failed: ${item.error}`;
+        }
+      }
+    } finally {
+      this.poolUsage[stage.pool]--;
+      this.finishJob(item, stage);
+      record.detail = null;
+      record.transfer = null;
+
+      if (item.status !== 'failed' && item.status !== 'cancelled') {
+        this.refreshItemProgress(item);
+      }
+
       this.updateUI();
+      this.processQueue();
+    }
+  }
 
-      // Organize compressed videos in a 'videos' subdirectory
-      const videosDir = path.join(this.config.compressedStorage, 'videos');
-      if (!fs.existsSync(videosDir)) {
-        fs.mkdirSync(videosDir, { recursive: true });
+  /**
+   * Record a running stage's progress and recompute the item's combined
+   * progress, status and step text
+   */
+  reportStage(item, stageName, percent, detail, transfer = null) {
+    const record = item.stages[stageName];
+    record.progress = Math.max(0, Math.min(100, percent));
+    record.detail = detail;
+    record.transfer = transfer;
+    this.refreshItemProgress(item);
+    this.updateUI();
+  }
+
+  refreshItemProgress(item) {
+    let completed = 0;
+    let total = 0;
+    const running = [];
+
+    for (const stage of STAGES) {
+      const record = item.stages[stage.name];
+      total += stage.weight;
+
+      if (isStageSettled(stage, record)) {
+        completed += stage.weight;
+      } else if (record.status === 'running') {
+        completed += stage.weight * ((record.progress || 0) / 100);
+        running.push(stage);
       }
+    }
 
-      const compressedPath = path.join(
-        videosDir,
-        item.finalFileName
-      );
+    item.progress = Math.floor((completed / total) * 100);
+
+    // Sibling stages may still report after a failure or cancel; the item
+    // keeps its final status so it can be retried
+    if (item.status === 'failed' || item.status === 'cancelled') {
+      return;
+    }
+
+    if (running.length === 0) {
+      const next = this.getNextStage(item);
+      item.status = 'waiting';
+      item.currentStep = next ? `Waiting for ${next.label}` : 'Finishing...';
+      return;
+    }
+
+    const pools = running.map(stage => stage.pool);
+    if (pools.includes('compress')) {
+      item.status = 'compressing';
+    } else if (pools.includes('upload')) {
+      item.status = 'uploading';
+    } else {
+      item.status = 'transcribing';
+    }
+
+    item.currentStep = running
+      .map(stage => item.stages[stage.name].detail || stage.label)
+      .join(' | ');
+  }
+
+  completeItem(item) {
+    // Schedule original deletion
+    this.scheduleFileDeletion(item.originalFilePath, 50);
+
+    // Mark complete
+    item.status = 'completed';
+    item.currentStep = 'Completed';
+    item.progress = 100;
+    item.completedAt = Date.now();
+    this.updateUI();
+  }
 
-      const compressionResult = await compressVideo(
+  /**
+   * Register a running stage on the item's job. All stages of an item share
+   * one abort controller so cancelling stops every one of them, and one
+   * temp workspace that is deleted once none of them is running.
+   */
+  startJob(item, stage) {
+    let job = this.jobs.get(item.id);
+
+    if (!job) {
+      job = {
+        stages: new Set(),
+        controller: new AbortController(),
+        processes: new Set(),
+        workspace: workspaces.create(item.id)
+      };
+
+      job.trackProcess = (child) => {
+        job.processes.add(child);
+        child.on('close', () => job.processes.delete(child));
+      };
+
+      this.jobs.set(item.id, job);
+    }
+
+    job.stages.add(stage.name);
+    return job;
+  }
+
+  finishJob(item, stage) {
+    const job = this.jobs.get(item.id);
+
+    if (job) {
+      job.stages.delete(stage.name);
+      if (job.stages.size === 0) {
+        this.jobs.delete(item.id);
+        workspaces.remove(item.id);
+      }
+    }
+  }
+
+  getDriveFolderId() {
+    // The active profile's folder, falling back to .env
+    return this.config.driveFolderId || process.env.GOOGLE_DRIVE_FOLDER_ID || null;
+  }
+
+  async runCompressStage(item, job) {
+    this.reportStage(item, 'compress', 0, 'Compressing video...');
+
+    // Organize compressed videos in a 'videos' subdirectory
+    const videosDir = path.join(this.config.compressedStorage, 'videos');
+    if (!fs.existsSync(videosDir)) {
+      fs.mkdirSync(videosDir, { recursive: true });
+    }
+
+    const compressedPath = path.join(
+      videosDir,
+      item.finalFileName
+    );
+
+    // Compress to a partial file beside the final one, so a crash or cancel
+    // never leaves a truncated video under the real name
+    const workingPath = workspaces.partialPath(compressedPath);
+    let compressionResult;
+
+    try {
+      compressionResult = await compressVideo(
         item.originalFilePath,
-        compressedPath,
+        workingPath,
         {
           onProgress: (progress, message) => {
-            item.progress = Math.floor(progress * 0.5); // 0-50%
-            item.currentStep = `Compressing: ${Math.floor(progress)}%`;
-            this.updateUI();
-          }
+            this.reportStage(item, 'compress', progress, `Compressing: ${Math.floor(progress)}%`);
+          },
+          onProcess: job.trackProcess
         }
       );
 
-      console.log(' Compression result:', compressionResult);
-      console.log(' Compressed file:', compressedPath);
+      fs.renameSync(workingPath, compressedPath);
+    } finally {
+      fs.rmSync(workingPath, { force: true });
+    }
 
-      // Step 2: Upload COMPRESSED to Google Drive
-      item.status = 'uploading';
-      item.currentStep = 'Uploading to Google Drive (compressed)...';
-      item.progress = 50;
-      this.updateUI();
+    console.log(' Compression result:', compressionResult);
+    console.log(' Compressed file:', compressedPath);
+
+    return { compressedPath };
+  }
 
-      // Get Drive folder ID from .env or config
-      const driveFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID || this.config.driveFolderId || null;
+  async runDriveStage(item, job) {
+    const { compressedPath } = this.getStageOutput(item, 'compress');
+
+    if (!compressedPath || !fs.existsSync(compressedPath)) {
+      throw new Error(`Compressed file missing: ${compressedPath}`);
+    }
+
+    this.reportStage(item, 'drive', 0, 'Uploading to Google Drive (compressed)...');
+
+    console.log(' Starting Google Drive upload (compressed)...');
+    const record = item.stages.drive;
+    const driveLink = await this.retryOperation(item, 'drive', job,
+      () => uploadToGoogleDrive(compressedPath, item.finalFileName, item.company, this.getDriveFolderId(), {
+        signal: job.controller.signal,
+        // Reuse the resumable session from an earlier attempt or run
+        session: record.session,
+        onSession: (session) => {
+          record.session = session;
+          this.persistQueue();
+        },
+        onProgress: (transfer) => {
+          const percent = transfer.totalBytes ? (transfer.bytesSent / transfer.totalBytes) * 100 : 100;
+          this.reportStage(item, 'drive', percent, formatTransferStep('Drive', transfer), transfer);
+        }
+      })
+    );
+    console.log(' Drive link:', driveLink);
+    record.session = null;
+
+    return { driveLink };
+  }
+
+  async runYouTubeStage(item, job) {
+    // Skip YouTube for audio-only files
+    if (isAudioFile(item.originalFilePath)) {
+      console.log(' Audio-only file detected, skipping YouTube upload');
+      return { skipped: true, reason: 'Audio-only file' };
+    }
 
-      console.log(' Starting Google Drive upload (compressed)...');
-      const driveLink = await this.retryOperation(
-        () => uploadToGoogleDrive(compressedPath, item.finalFileName, item.company, driveFolderId),
-        3,
-        10000
+    this.reportStage(item, 'youtube', 0, 'Uploading to YouTube (original)...');
+
+    console.log(' Starting YouTube upload (original file)...');
+    const record = item.stages.youtube;
+    const youtubeLink = await this.retryOperation(item, 'youtube', job,
+      () => uploadToYouTube(item.originalFilePath, item.finalFileName, item.company, {
+        signal: job.controller.signal,
+        // Reuse the resumable session from an earlier attempt or run
+        session: record.session,
+        onSession: (session) => {
+          record.session = session;
+          this.persistQueue();
+        },
+        onProgress: (transfer) => {
+          const percent = transfer.totalBytes ? (transfer.bytesSent / transfer.totalBytes) * 100 : 100;
+          this.reportStage(item, 'youtube', percent, formatTransferStep('YouTube', transfer), transfer);
+        }
+      })
+    );
+    console.log(' YouTube link:', youtubeLink);
+    record.session = null;
+
+    return { youtubeLink };
+  }
+
+  /**
+   * Whisper options for an item: its own language, model and speaker names
+   * over the transcription settings, over .env
+   */
+  getTranscriptionOptions(item) {
+    const settings = this.config.whisper || {};
+    const overrides = item.transcription || {};
+    const model = overrides.model || settings.model;
+    const modelsDir = settings.modelsDir || path.dirname(process.env.WHISPER_MODEL_PATH);
+
+    return {
+      language: overrides.language || settings.language || process.env.WHISPER_LANGUAGE || 'en',
+      modelPath: model ? path.join(modelsDir, model) : process.env.WHISPER_MODEL_PATH,
+      threads: parseInt(overrides.threads) || parseInt(settings.threads) || parseInt(process.env.WHISPER_THREADS) || null,
+      beamSize: parseInt(overrides.beamSize) || parseInt(settings.beamSize) || null,
+      bestOf: parseInt(overrides.bestOf) || parseInt(settings.bestOf) || null,
+      chunkSeconds: (parseInt(settings.chunkMinutes) || 0) * 60 || null,
+      chunkWorkers: parseInt(settings.chunkWorkers) || null,
+      diarization: settings.diarization || null,
+      speakerNames: getSpeakerNames(overrides.firstSpeaker || settings.firstSpeaker)
+    };
+  }
+
+  async runTranscribeStage(item, job) {
+    if (!process.env.WHISPER_CPP_PATH || !process.env.WHISPER_MODEL_PATH) {
+      console.log(' Whisper not configured, skipping transcription');
+      return { skipped: true, reason: 'Whisper not configured' };
+    }
+
+    this.reportStage(item, 'transcribe', 0, 'Transcribing audio...');
+
+    // Ensure Whisper is initialized
+    await initializeWhisper(
+      process.env.WHISPER_CPP_PATH,
+      process.env.WHISPER_MODEL_PATH
+    );
+
+    console.log(' Starting transcription...');
+
+    const transcriptFileName = generateTranscriptFileName(
+      item.candidateName,
+      item.company,
+      item.interviewType,
+      item.interviewDate
+    );
+    const transcriptPath = path.join(
+      this.config.compressedStorage,
+      'transcripts',
+      transcriptFileName
+    );
+
+    // Ensure transcript directory exists
+    const transcriptDir = path.dirname(transcriptPath);
+    if (!fs.existsSync(transcriptDir)) {
+      fs.mkdirSync(transcriptDir, { recursive: true });
+    }
+
+    // Transcribe into every configured format in one run
+    const transcriptionOptions = this.getTranscriptionOptions(item);
+    const transcriptResult = await transcribeVideo(
+      item.originalFilePath,
+      transcriptPath,
+      (progress) => {
+        this.reportStage(item, 'transcribe', progress, `Transcribing: ${progress}%`);
+      },
+      {
+        ...transcriptionOptions,
+        onProcess: job.trackProcess,
+        workDir: path.join(job.workspace, 'transcription'),
+        formats: this.config.transcriptFormats,
+        primaryFormat: this.config.transcriptPrimaryFormat
+      }
+    );
+
+    if (transcriptionOptions.language === 'auto') {
+      item.detectedLanguage = transcriptResult.language;
+      console.log(' Detected language:', transcriptResult.language);
+    }
+
+    console.log(' Transcription complete:', transcriptResult.transcriptPath);
+    console.log(' Transcript text length:', transcriptResult.text?.length || 0);
+
+    // Verify transcript file exists before uploading
+    if (!fs.existsSync(transcriptResult.transcriptPath)) {
+      throw new Error(`Transcript file not found at: ${transcriptResult.transcriptPath}`);
+    }
+
+    // Redact personal details before anything is uploaded. The unredacted
+    // copies stay local only.
+    const redactionSettings = this.config.redaction || {};
+    let unredactedPaths = null;
+    let redactionCount = null;
+
+    if (redactionSettings.enabled !== false) {
+      const redaction = redactTranscriptFiles(
+        transcriptResult.transcriptPaths,
+        buildRules(redactionSettings, item)
       );
-      console.log(' Drive link:', driveLink);
+      unredactedPaths = redaction.unredactedPaths;
+      redactionCount = redaction.counts[transcriptResult.primaryFormat] || 0;
+      console.log(' Redactions:', redactionCount);
+    }
+    item.redactionCount = redactionCount;
+
+    return {
+      transcriptPath: transcriptResult.transcriptPath,
+      transcriptPaths: transcriptResult.transcriptPaths,
+      unredactedPaths,
+      primaryFormat: transcriptResult.primaryFormat,
+      language: transcriptResult.language,
+      redactionCount
+    };
+  }
 
-      // Step 3: Upload to YouTube (skip for audio-only files)
-      const audioExtensions = ['.mp3', '.wav', '.m4a', '.aac', '.flac', '.ogg'];
-      const fileExt = path.extname(item.originalFilePath).toLowerCase();
-      const isAudioOnly = audioExtensions.includes(fileExt);
+  async runTranscriptUploadStage(item, job) {
+    const { transcriptPath, transcriptPaths, primaryFormat } = this.getStageOutput(item, 'transcribe');
 
-      let youtubeLink = null;
+    if (!transcriptPath) {
+      return { skipped: true, reason: 'No transcript available' };
+    }
 
-      if (isAudioOnly) {
-        console.log(' Audio-only file detected, skipping YouTube upload');
-        item.currentStep = 'Skipping YouTube (audio-only file)...';
-        item.progress = 75;
-        this.updateUI();
-      } else {
-        item.currentStep = 'Uploading to YouTube (original)...';
-        item.progress = 75;
-        this.updateUI();
+    // Items transcribed before multiple formats only have the one path
+    const files = transcriptPaths || { [path.extname(transcriptPath).slice(1)]: transcriptPath };
 
-        console.log(' Starting YouTube upload (original file)...');
-        youtubeLink = await this.retryOperation(
-          () => uploadToYouTube(item.originalFilePath, item.finalFileName, item.company),
-          3,
-          10000
-        );
-        console.log(' YouTube link:', youtubeLink);
+    for (const filePath of Object.values(files)) {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Transcript file missing: ${filePath}`);
       }
+    }
 
-      // Step 4: Transcribe video
-      item.currentStep = 'Transcribing audio...';
-      item.progress = 80;
-      this.updateUI();
+    // Upload transcripts to Drive (restricted folder)
+    this.reportStage(item, 'transcriptUpload', 0, 'Uploading transcript to Drive...');
 
-      let transcriptLink = null;
-
-      if (process.env.WHISPER_CPP_PATH && process.env.WHISPER_MODEL_PATH) {
-        try {
-          // Ensure Whisper is initialized
-          await initializeWhisper(
-            process.env.WHISPER_CPP_PATH,
-            process.env.WHISPER_MODEL_PATH
-          );
-
-          console.log(' Starting transcription...');
-
-          const transcriptFileName = generateTranscriptFileName(
-            item.candidateName,
-            item.company,
-            item.interviewType,
-            item.interviewDate
-          );
-          const transcriptPath = path.join(
-            this.config.compressedStorage,
-            'transcripts',
-            transcriptFileName
-          );
-
-          // Ensure transcript directory exists
-          const transcriptDir = path.dirname(transcriptPath);
-          if (!fs.existsSync(transcriptDir)) {
-            fs.mkdirSync(transcriptDir, { recursive: true });
-          }
+    // Use the profile's transcript folder, then .env
+    // Falls back to same folder as videos if not specified
+    const transcriptFolderId = this.config.transcriptFolderId || process.env.TRANSCRIPT_DRIVE_FOLDER_ID || this.getDriveFolderId();
 
-          // Transcribe
-          const transcriptResult = await transcribeVideo(
-            item.originalFilePath,
-            transcriptPath,
-            (progress) => {
-              item.progress = 80 + (progress * 0.1); // 80-90%
-              item.currentStep = `Transcribing: ${progress}%`;
-              this.updateUI();
-            }
-          );
-
-          console.log(' Transcription complete:', transcriptResult.transcriptPath);
-          console.log(' Transcript text length:', transcriptResult.text?.length || 0);
-
-          // Verify transcript file exists before uploading
-          if (!fs.existsSync(transcriptResult.transcriptPath)) {
-            throw new Error(`Transcript file not found at: ${transcriptResult.transcriptPath}`);
-          }
+    const formats = Object.keys(files);
+    // Formats uploaded before a failure are kept so a retry skips them
+    const record = item.stages.transcriptUpload;
+    const transcriptLinks = record.links || {};
 
-          // Upload transcript to Drive (restricted folder)
-          item.currentStep = 'Uploading transcript to Drive...';
-          item.progress = 90;
-          this.updateUI();
+    for (const [index, format] of formats.entries()) {
+      if (transcriptLinks[format]) {
+        continue;
+      }
 
-          // Use separate transcript folder ID from .env
-          // Falls back to same folder as videos if not specified
-          const transcriptFolderId = process.env.TRANSCRIPT_DRIVE_FOLDER_ID || driveFolderId;
-
-          transcriptLink = await this.retryOperation(
-            () => uploadTranscriptToGoogleDrive(
-              transcriptResult.transcriptPath,
-              path.basename(transcriptResult.transcriptPath),
-              item.company,
-              transcriptFolderId  // Use dedicated transcript folder ID
-            ),
-            3,
-            10000
-          );
-
-          console.log(' Transcript link:', transcriptLink);
-
-        } catch (error) {
-          console.error(' Transcription failed:', error.message);
-          // Continue without transcript
-        }
-      } else {
-        console.log(' Whisper not configured, skipping transcription');
+      this.reportStage(item, 'transcriptUpload', Math.round(index / formats.length * 100),
+        `Uploading ${format.toUpperCase()} transcript to Drive...`);
+
+      transcriptLinks[format] = await this.retryOperation(item, 'transcriptUpload', job,
+        () => uploadTranscriptToGoogleDrive(
+          files[format],
+          path.basename(files[format]),
+          item.company,
+          transcriptFolderId,  // Use dedicated transcript folder ID
+          { signal: job.controller.signal }
+        )
+      );
+      record.links = transcriptLinks;
+      this.persistQueue();
+    }
+    record.links = null;
+
+    // The API gets one link: the primary format's
+    const transcriptLink = transcriptLinks[primaryFormat] || transcriptLinks[formats[0]];
+    console.log(' Transcript link:', transcriptLink);
+
+    return { transcriptLink, transcriptLinks };
+  }
+
+  async runCaptionsStage(item, job) {
+    const { youtubeLink } = this.getStageOutput(item, 'youtube');
+    const { transcriptPaths = {}, language } = this.getStageOutput(item, 'transcribe');
+    const videoId = youtubeLink && getYouTubeVideoId(youtubeLink);
+
+    if (!videoId) {
+      return { skipped: true, reason: 'No YouTube video' };
+    }
+
+    // YouTube takes timed captions only
+    const captionPath = transcriptPaths.srt || transcriptPaths.vtt;
+    if (!captionPath) {
+      return { skipped: true, reason: 'No SRT or VTT transcript' };
+    }
+
+    if (!canUploadCaptions()) {
+      return { skipped: true, reason: 'Authenticate YouTube again to allow caption uploads' };
+    }
+
+    if (!fs.existsSync(captionPath)) {
+      throw new Error(`Caption file missing: ${captionPath}`);
+    }
+
+    const captionLanguage = language || 'en';
+    this.reportStage(item, 'captions', 0, 'Adding YouTube captions...');
+
+    const captionId = await this.retryOperation(item, 'captions', job,
+      () => uploadCaptions(videoId, captionPath, captionLanguage, { signal: job.controller.signal })
+    );
+    console.log(' YouTube caption track:', captionId);
+
+    return { captionId, language: captionLanguage };
+  }
+
+  async runApiUpdateStage(item, job) {
+    const { driveLink } = this.getStageOutput(item, 'drive');
+    const { youtubeLink = null } = this.getStageOutput(item, 'youtube');
+    const { transcriptLink = null } = this.getStageOutput(item, 'transcriptUpload');
+
+    this.reportStage(item, 'apiUpdate', 0, 'Updating database...');
+
+    console.log(' Updating database...');
+    await this.retryOperation(item, 'apiUpdate', job,
+      () => updateRecordingLinks(item.interviewId, driveLink, youtubeLink, transcriptLink, item.finalFileName)
+    );
+    console.log(' Database updated!');
+
+    return { updatedAt: Date.now() };
+  }
+
+  /**
+   * Re-queue a failed item. Stages that already succeeded keep their output
+   * and are skipped, so uploads are not duplicated.
+   */
+  retryItem(itemId) {
+    const item = this.queue.find(i => i.id === itemId);
+
+    if (!item) {
+      return { success: false, error: 'Queue item not found' };
+    }
+
+    if (item.status !== 'failed' && item.status !== 'cancelled') {
+      return { success: false, error: `Cannot retry an item that is ${item.status}` };
+    }
+
+    if (this.jobs.has(itemId)) {
+      return { success: false, error: 'Wait for the running stages to finish before retrying' };
+    }
+
+    if (!this.belongsToActiveProfile(item)) {
+      return { success: false, error: 'This item was queued under another profile or API URL; switch back to retry it' };
+    }
+
+    for (const record of Object.values(item.stages)) {
+      if (record.status === 'failed') {
+        record.status = 'pending';
+        record.error = null;
       }
+    }
 
-      // Step 5: Update database
-      item.currentStep = 'Updating database...';
-      item.progress = 95;
-      this.updateUI();
+    const next = this.getNextStage(item);
+    item.status = 'waiting';
+    item.error = null;
+    item.currentStep = next ? `Retrying from ${next.label}` : 'Retrying';
+    this.updateUI();
+    this.processQueue();
 
-      console.log(' Updating database...');
-      await updateRecordingLinks(item.interviewId, driveLink, youtubeLink, transcriptLink, item.finalFileName);
-      console.log(' Database updated!');
+    return { success: true };
+  }
 
-      // Step 6: Schedule original deletion
-      this.scheduleFileDeletion(item.originalFilePath, 50);
+  /**
+   * Cancel a running item: abort in-flight uploads and kill its ffmpeg/whisper
+   * processes. An item waiting between stages is simply marked cancelled.
+   */
+  cancelItem(itemId) {
+    const item = this.queue.find(i => i.id === itemId);
 
-      // Mark complete
-      item.status = 'completed';
-      item.currentStep = 'Completed';
-      item.progress = 100;
-      item.completedAt = Date.now();
-      this.updateUI();
+    if (!item) {
+      return { success: false, error: 'Queue item not found' };
+    }
 
-    } catch (error) {
-      console.error(' Processing failed:', error);
-      item.status = 'failed';
-      item.error = error.message;
-      item.currentStep = `Failed: ${error.message}`;
+    const job = this.jobs.get(itemId);
+
+    if (item.status === 'waiting' && !job) {
+      item.status = 'cancelled';
+      item.currentStep = 'Cancelled';
       this.updateUI();
+      return { success: true };
+    }
+
+    if (!job) {
+      return { success: false, error: `Cannot cancel an item that is ${item.status}` };
+    }
+
+    console.log(' Cancelling item:', item.finalFileName);
+    item.currentStep = 'Cancelling...';
+    this.updateUI();
+
+    job.controller.abort();
+    for (const child of job.processes) {
+      child.kill('SIGTERM');
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Remove an item that is not currently being processed
+   */
+  removeItem(itemId) {
+    const item = this.queue.find(i => i.id === itemId);
+
+    if (!item) {
+      return { success: false, error: 'Queue item not found' };
+    }
+
+    if (this.jobs.has(itemId)) {
+      return { success: false, error: 'Cancel the item before removing it' };
     }
+
+    this.queue = this.queue.filter(i => i.id !== itemId);
+    this.updateUI();
+
+    return { success: true };
+  }
+
+  /**
+   * Stop starting new stages. Stages already running finish normally.
+   */
+  pause(reason = 'user') {
+    this.paused = true;
+    this.pauseReason = reason;
+    console.log(' Queue paused:', reason);
+    return { success: true, paused: this.paused, pauseReason: this.pauseReason };
   }
 
-  async retryOperation(fn, maxRetries = 3, delay = 10000) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        return await fn();
-      } catch (error) {
-        if (attempt === maxRetries) {
-          throw error;
+  resume() {
+    this.paused = false;
+    this.pauseReason = null;
+    // Re-check credentials before picking work up again
+    this.preflightPassed = false;
+    console.log(' Queue resumed');
+    this.processQueue();
+
+    return { success: true, paused: this.paused, pauseReason: this.pauseReason };
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  getPauseReason() {
+    return this.pauseReason;
+  }
+
+  /**
+   * Whether any item of the active profile is still waiting, or anything is
+   * being processed
+   */
+  hasPendingWork() {
+    return this.jobs.size > 0 ||
+      this.queue.some(item => this.isActiveItem(item) && this.belongsToActiveProfile(item));
+  }
+
+  /**
+   * Run a stage operation under the retry policy. Permanent errors (auth,
+   * quota, not found) fail straight away; transient ones back off
+   * exponentially. Every failed attempt is recorded on the stage for display.
+   */
+  async retryOperation(item, stageName, job, fn) {
+    const record = item.stages[stageName];
+    const stage = STAGES_BY_NAME[stageName];
+
+    return withRetry(fn, {
+      signal: job.controller.signal,
+      onAttempt: (attempt) => {
+        record.attempts.push(attempt);
+
+        if (attempt.retryInMs !== null) {
+          const seconds = Math.round(attempt.retryInMs / 1000);
+          this.reportStage(item, stageName, record.progress || 0,
+            `${stage.label}: ${ERROR_TYPES[attempt.type].label}, retrying in ${seconds}s ` +
+            `(attempt ${attempt.attempt + 1} of ${attempt.maxAttempts})`);
+        } else {
+          this.updateUI();
         }
-        console.log(`Attempt ${attempt} failed, retrying in ${delay / 1000}s...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
       }
-    }
+    });
   }
 
   scheduleFileDeletion(filePath, days) {
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in rules, each replaced by its label. Whisper writes numbers the way
+// they were spoken, so these aim at the common spoken forms rather than
+// every possible format.
+const REDACTION_RULES = {
+  email: {
+    label: '[EMAIL]',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  phone: {
+    label: '[PHONE]',
+    // International with +, area code and number, local with a dash or dot
+    // (555-1234), or a long run of digits. Two spaced numbers ("100 2000")
+    // are left alone.
+    pattern: /\+\d{1,3}(?:[\s.-]?\(?\d{2,5}\)?){2,4}(?!\d)|(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b|\b\d{3}[.-]\d{4}\b|\b\d{10,13}\b/g
+  },
+  address: {
+    label: '[ADDRESS]',
+    // A number and one to three capitalised words before the street type
+    // ("221 Baker Street"). Case-sensitive, so "5 years on the road" or
+    // "4 teams in one place" are left alone.
+    pattern: /\b\d{1,5}\s+(?:[A-Z][\w'-]*\s+){1,3}(?:[Ss]treet|St|[Aa]venue|Ave|[Rr]oad|Rd|[Bb]oulevard|Blvd|[Ll]ane|Ln|[Dd]rive|Dr|[Cc]ourt|Ct|[Ww]ay|[Pp]lace|Pl|[Tt]errace|[Ss]quare|Sq)\b\.?/g
+  },
+  salary: {
+    label: '[AMOUNT]',
+    pattern: /[$€£]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:k|thousand|million|m)\b)?|\b\d[\d,]*(?:\.\d+)?\s?(?:k\b|thousand\b|million\b)?\s?(?:dollars|euros|pounds|USD|EUR|GBP)\b|\b\d{2,3}k\b/gi
+  }
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  rules: Object.keys(REDACTION_RULES),
+  names: true,
+  patterns: []
+};
+
+// Parts of a name shorter than this are too likely to match ordinary words
+const MIN_NAME_PART_LENGTH = 3;
+
+// Name parts that are also everyday words. Names are matched capitalised
+// only, but these would still catch the word at the start of a sentence
+// ("Will you..."), so on their own they are not redacted; the full name is.
+const COMMON_WORD_NAMES = new Set([
+  'will', 'grant', 'bill', 'mark', 'rose', 'may', 'june', 'april', 'august',
+  'hope', 'joy', 'faith', 'grace', 'rich', 'frank', 'page', 'young', 'long',
+  'brown', 'green', 'white', 'black', 'gray', 'grey', 'king', 'hunter',
+  'cook', 'chase', 'drew', 'guy', 'jack', 'lane', 'miles', 'pat', 'penny',
+  'ray', 'rob', 'summer', 'sunny', 'ward', 'art', 'dawn', 'dale', 'glen',
+  'stone', 'hall', 'hill', 'wood', 'woods', 'price', 'bell', 'best', 'case',
+  'fair', 'field', 'gay', 'golden', 'hart', 'lee', 'love', 'march', 'rock',
+  'sharp', 'short', 'small', 'star', 'strong', 'sterling', 'west', 'north',
+  'major', 'baker', 'porter', 'wells', 'worth'
+]);
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "jane doe" -> "Jane Doe", the way whisper writes names
+function capitalize(value) {
+  return value.replace(/(^|[\s-])(\p{Ll})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Terms to redact for an interview: the candidate's full name and each part
+ * of it that isn't an everyday word, and the company. Longest first so a
+ * full name is one redaction.
+ */
+function buildNameTerms(item) {
+  const terms = [];
+
+  if (item.candidateName) {
+    const name = capitalize(item.candidateName.trim());
+    terms.push({ term: name, label: '[NAME]' });
+
+    for (const part of name.split(/\s+/)) {
+      if (part.length >= MIN_NAME_PART_LENGTH && !COMMON_WORD_NAMES.has(part.toLowerCase())) {
+        terms.push({ term: part, label: '[NAME]' });
+      }
+    }
+  }
+
+  if (item.company) {
+    terms.push({ term: item.company.trim(), label: '[COMPANY]' });
+  }
+
+  return terms
+    .filter(({ term }) => term)
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+/**
+ * The rules to apply, as [{ label, pattern }], from the redaction settings
+ * and the interview the transcript belongs to. Custom patterns are regular
+ * expressions, matched case-insensitively.
+ */
+function buildRules(settings = {}, item = {}) {
+  const options = { ...DEFAULT_SETTINGS, ...settings };
+  const rules = [];
+
+  // Built-in rules before names, so an email containing the candidate's
+  // name is redacted as one email
+  for (const name of options.rules) {
+    if (REDACTION_RULES[name]) {
+      rules.push(REDACTION_RULES[name]);
+    }
+  }
+
+  // Case-sensitive, so "will" is not redacted for a candidate named Will
+  if (options.names) {
+    for (const { term, label } of buildNameTerms(item)) {
+      rules.push({ label, pattern: new RegExp(`(?<!\\w)${escapeRegExp(term)}(?!\\w)`, 'g') });
+    }
+  }
+
+  for (const source of options.patterns || []) {
+    rules.push({ label: '[REDACTED]', pattern: new RegExp(source, 'gi') });
+  }
+
+  return rules;
+}
+
+/**
+ * Replace every match of the rules in a piece of text
+ */
+function redactText(text, rules) {
+  let count = 0;
+
+  const redacted = rules.reduce((current, { label, pattern }) => (
+    current.replace(pattern, () => {
+      count++;
+      return label;
+    })
+  ), text);
+
+  return { text: redacted, count };
+}
+
+// SRT/VTT cue numbers, timestamps and headers are left alone
+function isCueLine(line) {
+  return /^\d+$/.test(line) || line.includes('-->') || line === 'WEBVTT';
+}
+
+/**
+ * Redact transcript content in the given format, touching only the spoken
+ * text so timings and structure stay valid
+ */
+function redactContent(format, content, rules) {
+  if (format === 'json') {
+    const transcript = JSON.parse(content);
+    let count = 0;
+
+    for (const segment of transcript.segments || []) {
+      const result = redactText(segment.text, rules);
+      segment.text = result.text;
+      count += result.count;
+    }
+
+    return { content: JSON.stringify(transcript, null, 2), count };
+  }
+
+  if (format === 'srt' || format === 'vtt') {
+    let count = 0;
+
+    const lines = content.split('\n').map(line => {
+      if (isCueLine(line.trim())) {
+        return line;
+      }
+
+      const result = redactText(line, rules);
+      count += result.count;
+      return result.text;
+    });
+
+    return { content: lines.join('\n'), count };
+  }
+
+  const result = redactText(content, rules);
+  return { content: result.text, count: result.count };
+}
+
+/**
+ * Redact transcript files in place. The unredacted originals are kept
+ * alongside as name.unredacted.ext; uploads use the redacted files, which
+ * keep the original names.
+ *
+ * Returns { unredactedPaths, counts } with the redactions made per format.
+ */
+function redactTranscriptFiles(transcriptPaths, rules) {
+  const unredactedPaths = {};
+  const counts = {};
+
+  for (const [format, filePath] of Object.entries(transcriptPaths)) {
+    const extension = path.extname(filePath);
+    const unredactedPath = `${filePath.slice(0, -extension.length)}.unredacted${extension}`;
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    fs.writeFileSync(unredactedPath, content);
+
+    const result = redactContent(format, content, rules);
+    fs.writeFileSync(filePath, result.content);
+
+    unredactedPaths[format] = unredactedPath;
+    counts[format] = result.count;
+  }
+
+  return { unredactedPaths, counts };
+}
+
+module.exports = {
+  REDACTION_RULES,
+  buildRules,
+  redactText,
+  redactTranscriptFiles
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+
+// Google requires chunk sizes to be a multiple of 256 KiB
+const CHUNK_MULTIPLE = 256 * 1024;
+const DEFAULT_CHUNK_SIZE = 32 * CHUNK_MULTIPLE; // 8 MiB
+
+function httpError(message, status) {
+  const error = new Error(message);
+  error.code = status;
+  error.status = status;
+  return error;
+}
+
+async function responseError(response, prefix) {
+  const body = await response.text().catch(() => '');
+  let detail = body;
+  let errors = null;
+  try {
+    const parsed = JSON.parse(body);
+    detail = (parsed.error && (parsed.error.message || parsed.error)) || body;
+    errors = parsed.error && parsed.error.errors;
+  } catch (e) {
+    // Plain text body
+  }
+
+  const error = httpError(`${prefix}: ${response.status} ${detail}`.trim(), response.status);
+  // Google's reasons (e.g. rateLimitExceeded) tell a 403 quota or rate
+  // limit apart from a permissions problem
+  if (Array.isArray(errors)) {
+    error.errors = errors;
+  }
+  return error;
+}
+
+async function getAccessToken(auth) {
+  const { token } = await auth.getAccessToken();
+  if (!token) {
+    throw new Error('No access token available');
+  }
+  return token;
+}
+
+/**
+ * Open a resumable upload session and return its session URI
+ */
+async function startSession(initUrl, { auth, metadata, mimeType, fileSize, signal }) {
+  const response = await fetch(initUrl, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${await getAccessToken(auth)}`,
+      'Content-Type': 'application/json; charset=UTF-8',
+      'X-Upload-Content-Type': mimeType,
+      'X-Upload-Content-Length': String(fileSize)
+    },
+    body: JSON.stringify(metadata),
+    signal
+  });
+
+  if (!response.ok) {
+    throw await responseError(response, 'Failed to start upload session');
+  }
+
+  const sessionUri = response.headers.get('location');
+  if (!sessionUri) {
+    throw new Error('Upload session URI missing from response');
+  }
+
+  return sessionUri;
+}
+
+/**
+ * Next byte the server expects from a "Range: bytes=0-N" header
+ */
+function offsetFromRange(range) {
+  const match = range && range.match(/bytes=\d+-(\d+)/);
+  return match ? parseInt(match[1]) + 1 : 0;
+}
+
+/**
+ * Ask the server how much of the file it already has.
+ * Returns { offset } for an open session, { result } if the upload already
+ * finished, or null if the session has expired.
+ */
+async function querySession(sessionUri, { auth, fileSize, signal }) {
+  const response = await fetch(sessionUri, {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${await getAccessToken(auth)}`,
+      'Content-Length': '0',
+      'Content-Range': `bytes */${fileSize}`
+    },
+    signal
+  });
+
+  if (response.status === 308) {
+    return { offset: offsetFromRange(response.headers.get('range')) };
+  }
+
+  if (response.ok) {
+    return { result: await response.json() };
+  }
+
+  if (response.status === 404 || response.status === 410) {
+    return null;
+  }
+
+  throw await responseError(response, 'Failed to query upload session');
+}
+
+/**
+ * Tracks throughput for progress reports. Only bytes sent in this attempt
+ * count towards the rate, so a resumed upload doesn't report a burst.
+ */
+function createRateTracker(startOffset) {
+  const startedAt = Date.now();
+
+  return (bytesSent, totalBytes) => {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const bytesPerSecond = elapsed > 0 ? (bytesSent - startOffset) / elapsed : 0;
+    const remaining = totalBytes - bytesSent;
+
+    return {
+      bytesSent,
+      totalBytes,
+      bytesPerSecond: Math.round(bytesPerSecond),
+      etaSeconds: bytesPerSecond > 0 ? Math.round(remaining / bytesPerSecond) : null
+    };
+  };
+}
+
+/**
+ * Upload a file through Google's resumable upload protocol.
+ *
+ * Passing a `session` saved from an earlier attempt continues from the last
+ * byte the server confirmed instead of starting over. `onSession` is called
+ * with each new session so the caller can persist it, and `onProgress` with
+ * { bytesSent, totalBytes, bytesPerSecond, etaSeconds } after every
+ * confirmed chunk.
+ *
+ * Resolves with the parsed JSON resource returned by the API.
+ */
+async function resumableUpload(options) {
+  const {
+    initUrl,
+    auth,
+    filePath,
+    metadata,
+    mimeType,
+    session = null,
+    onSession = null,
+    onProgress = null,
+    signal = null,
+    chunkSize = DEFAULT_CHUNK_SIZE
+  } = options;
+
+  const fileSize = fs.statSync(filePath).size;
+  let sessionUri = null;
+  let offset = 0;
+
+  if (session && session.uri && session.fileSize === fileSize) {
+    const status = await querySession(session.uri, { auth, fileSize, signal });
+
+    if (status && status.result) {
+      console.log('⏭️ Upload already completed in a previous session');
+      return status.result;
+    }
+
+    if (status) {
+      sessionUri = session.uri;
+      offset = status.offset;
+      console.log(`🔁 Resuming upload at ${(offset / 1024 / 1024).toFixed(1)} MB of ${(fileSize / 1024 / 1024).toFixed(1)} MB`);
+    } else {
+      console.log('⌛ Upload session expired, starting a new one');
+    }
+  }
+
+  if (!sessionUri) {
+    sessionUri = await startSession(initUrl, { auth, metadata, mimeType, fileSize, signal });
+    if (onSession) {
+      onSession({ uri: sessionUri, fileSize, startedAt: Date.now() });
+    }
+  }
+
+  const rate = createRateTracker(offset);
+  if (onProgress) {
+    onProgress(rate(offset, fileSize));
+  }
+
+  const size = Math.max(CHUNK_MULTIPLE, Math.floor(chunkSize / CHUNK_MULTIPLE) * CHUNK_MULTIPLE);
+
+  while (true) {
+    const end = Math.min(offset + size, fileSize) - 1;
+    const length = fileSize === 0 ? 0 : end - offset + 1;
+
+    const response = await fetch(sessionUri, {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${await getAccessToken(auth)}`,
+        'Content-Length': String(length),
+        'Content-Range': fileSize === 0 ? 'bytes */0' : `bytes ${offset}-${end}/${fileSize}`
+      },
+      body: length > 0 ? fs.createReadStream(filePath, { start: offset, end }) : undefined,
+      signal
+    });
+
+    if (response.status === 308) {
+      // Server may accept less than the whole chunk; trust its Range header
+      offset = offsetFromRange(response.headers.get('range'));
+      if (onProgress) {
+        onProgress(rate(offset, fileSize));
+      }
+      continue;
+    }
+
+    if (response.ok) {
+      if (onProgress) {
+        onProgress(rate(fileSize, fileSize));
+      }
+      return await response.json();
+    }
+
+    throw await responseError(response, 'Upload chunk failed');
+  }
+}
+
+module.exports = {
+  resumableUpload,
+  DEFAULT_CHUNK_SIZE
+};
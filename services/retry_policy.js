@@ -0,0 +1,217 @@
+// Decides whether a failed operation is worth retrying and how long to wait.
+// Errors from googleapis (gaxios), node-fetch and our own resumable uploader
+// all end up here, so classification looks at every shape they use.
+
+// Socket-level failures that usually clear up on their own
+const NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+  'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'ENETDOWN', 'EHOSTUNREACH', 'EPIPE'
+]);
+
+// Google API error reasons
+const QUOTA_REASONS = new Set(['quotaExceeded', 'dailyLimitExceeded', 'uploadLimitExceeded', 'storageQuotaExceeded']);
+const RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded']);
+// Only reasons that mean the credentials themselves are bad or lack a scope.
+// Google's generic 'forbidden' (e.g. no write access to a Drive folder) is a
+// client error: signing in again would not fix it.
+const AUTH_REASONS = new Set(['authError', 'invalid_grant', 'unauthorized_client', 'insufficientPermissions']);
+
+// Retryable error types and how they are described in the queue
+const ERROR_TYPES = {
+  auth: { retryable: false, label: 'authentication error' },
+  quota: { retryable: false, label: 'quota exceeded' },
+  notFound: { retryable: false, label: 'not found' },
+  client: { retryable: false, label: 'request rejected' },
+  rateLimit: { retryable: true, label: 'rate limited' },
+  network: { retryable: true, label: 'network error' },
+  server: { retryable: true, label: 'server error' },
+  unknown: { retryable: true, label: 'error' }
+};
+
+const DEFAULT_POLICY = {
+  maxAttempts: 5,
+  baseDelay: 2000,
+  maxDelay: 60000
+};
+
+/**
+ * Walk an error and its causes, returning the first HTTP status, error code
+ * and Google error reason found.
+ */
+function inspectError(error) {
+  const details = { status: null, code: null, reason: null, messages: [] };
+
+  for (let current = error; current; current = current.cause) {
+    const response = current.response;
+
+    if (details.status === null) {
+      const status = current.status || (response && response.status) ||
+        (typeof current.code === 'number' ? current.code : null);
+      if (status) {
+        details.status = Number(status);
+      }
+    }
+
+    if (details.code === null && typeof current.code === 'string') {
+      details.code = current.code;
+    }
+
+    if (details.reason === null) {
+      const errors = current.errors ||
+        (response && response.data && response.data.error && response.data.error.errors);
+      if (Array.isArray(errors) && errors[0] && errors[0].reason) {
+        details.reason = errors[0].reason;
+      } else if (response && response.data && typeof response.data.error === 'string') {
+        // OAuth token endpoint errors, e.g. { error: 'invalid_grant' }
+        details.reason = response.data.error;
+      }
+    }
+
+    details.messages.push(String(current.message || ''));
+  }
+
+  return details;
+}
+
+/**
+ * Classify an error into one of ERROR_TYPES
+ */
+function classifyError(error) {
+  const { status, code, reason, messages } = inspectError(error);
+  const message = messages.join(' ').toLowerCase();
+
+  // Google sends quota and rate limits as 403 too, so the reason decides
+  if (reason && RATE_LIMIT_REASONS.has(reason)) {
+    return 'rateLimit';
+  }
+
+  if (reason && QUOTA_REASONS.has(reason)) {
+    return 'quota';
+  }
+
+  if ((reason && AUTH_REASONS.has(reason)) || status === 401 ||
+      /not authenticated|not initialized|invalid_grant|invalid credentials|token has been expired or revoked/.test(message)) {
+    return 'auth';
+  }
+
+  if (/quota/.test(message)) {
+    return 'quota';
+  }
+
+  if (status === 429) {
+    return 'rateLimit';
+  }
+
+  if (status === 404 || status === 410) {
+    return 'notFound';
+  }
+
+  if (status >= 500) {
+    return 'server';
+  }
+
+  if (status >= 400) {
+    return 'client';
+  }
+
+  // node-fetch marks socket failures as FetchError with type 'system'
+  if ((code && NETWORK_CODES.has(code)) || error.type === 'system' || error.type === 'request-timeout' ||
+      /socket hang up|network|timed out/.test(message)) {
+    return 'network';
+  }
+
+  return 'unknown';
+}
+
+function isRetryable(type) {
+  return (ERROR_TYPES[type] || ERROR_TYPES.unknown).retryable;
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and all of
+ * baseDelay * 2^(attempt - 1), capped at maxDelay
+ */
+function getBackoffDelay(attempt, policy = DEFAULT_POLICY) {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(new Error('Cancelled'));
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Cancelled'));
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Run fn until it succeeds, a permanent error is hit or attempts run out.
+ *
+ * onAttempt is called after every failure with
+ * { attempt, maxAttempts, type, error, retryInMs, at }; retryInMs is null
+ * when no further attempt will be made.
+ */
+async function withRetry(fn, options = {}) {
+  const policy = { ...DEFAULT_POLICY, ...options };
+  const { signal = null, onAttempt = null } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+
+      const type = classifyError(error);
+      const willRetry = isRetryable(type) && attempt < policy.maxAttempts;
+      const retryInMs = willRetry ? getBackoffDelay(attempt, policy) : null;
+
+      error.errorType = type;
+
+      if (onAttempt) {
+        onAttempt({
+          attempt,
+          maxAttempts: policy.maxAttempts,
+          type,
+          error: error.message,
+          retryInMs,
+          at: Date.now()
+        });
+      }
+
+      if (!willRetry) {
+        if (!isRetryable(type)) {
+          console.log(`🛑 ${ERROR_TYPES[type].label}, not retrying: ${error.message}`);
+        }
+        throw error;
+      }
+
+      console.log(`🔁 Attempt ${attempt} failed (${ERROR_TYPES[type].label}), retrying in ${Math.round(retryInMs / 1000)}s...`);
+      await sleep(retryInMs, signal);
+    }
+  }
+}
+
+module.exports = {
+  ERROR_TYPES,
+  DEFAULT_POLICY,
+  classifyError,
+  isRetryable,
+  getBackoffDelay,
+  withRetry
+};
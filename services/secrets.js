@@ -0,0 +1,162 @@
+const { safeStorage } = require('electron');
+const Store = require('electron-store');
+const path = require('path');
+const fs = require('fs');
+
+// Holds ciphertext only; every value is encrypted with the OS keychain
+// (Keychain on macOS, DPAPI on Windows, kwallet or libsecret on Linux) via
+// safeStorage
+const secretStore = new Store({ name: 'secrets' });
+
+// Plaintext token files written by earlier versions, keyed by secret name
+const LEGACY_TOKEN_FILES = {
+  'google-tokens:drive': 'google_tokens.json',
+  'google-tokens:youtube': 'youtube_tokens.json',
+  'google-tokens:combined': 'google_combined_tokens.json'
+};
+
+class Secrets {
+  constructor() {
+    // Fallback when the OS offers no encryption: keep secrets for this
+    // session only rather than writing them to disk in the clear
+    this.memory = new Map();
+    // Prefix for every key, so each profile keeps its own logins
+    this.scope = '';
+  }
+
+  setScope(scope) {
+    this.scope = scope || '';
+  }
+
+  scoped(key) {
+    return this.scope + key;
+  }
+
+  /**
+   * safeStorage is only usable once the app is ready. On Linux without a
+   * keyring it still reports encryption as available but falls back to the
+   * basic_text backend, whose key is hardcoded in Chromium; that is no
+   * better than plaintext, so it counts as unavailable here.
+   */
+  isAvailable() {
+    if (!safeStorage.isEncryptionAvailable()) {
+      return false;
+    }
+
+    if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function') {
+      return safeStorage.getSelectedStorageBackend() !== 'basic_text';
+    }
+
+    return true;
+  }
+
+  get(name) {
+    const key = this.scoped(name);
+
+    if (this.memory.has(key)) {
+      return this.memory.get(key);
+    }
+
+    const encrypted = secretStore.get(key);
+    if (!encrypted || !this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(safeStorage.decryptString(Buffer.from(encrypted, 'base64')));
+    } catch (error) {
+      console.error(`Failed to decrypt secret "${key}":`, error.message);
+      return null;
+    }
+  }
+
+  set(name, value) {
+    const key = this.scoped(name);
+
+    if (!this.isAvailable()) {
+      console.warn(`⚠️ Encryption unavailable, "${key}" will not be saved after this session`);
+      this.memory.set(key, value);
+      return;
+    }
+
+    const encrypted = safeStorage.encryptString(JSON.stringify(value));
+    secretStore.set(key, encrypted.toString('base64'));
+    this.memory.delete(key);
+  }
+
+  has(name) {
+    const key = this.scoped(name);
+    return this.memory.has(key) || secretStore.has(key);
+  }
+
+  delete(name) {
+    const key = this.scoped(name);
+    this.memory.delete(key);
+    secretStore.delete(key);
+  }
+
+  /**
+   * Remove every secret under a scope, e.g. when its profile is deleted
+   */
+  clearScope(scope) {
+    if (!scope) {
+      return;
+    }
+
+    for (const key of [...this.memory.keys()]) {
+      if (key.startsWith(scope)) {
+        this.memory.delete(key);
+      }
+    }
+
+    for (const key of Object.keys(secretStore.store)) {
+      if (key.startsWith(scope)) {
+        secretStore.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Move secrets left in plaintext by earlier versions (Google token files
+   * and the API token store) into encrypted storage and remove the
+   * plaintext copies. .env credentials stay a fallback for the in-app login.
+   */
+  migrate(configDir) {
+    if (!this.isAvailable()) {
+      console.warn('⚠️ Encryption unavailable, leaving existing credentials where they are');
+      return;
+    }
+
+    for (const [key, fileName] of Object.entries(LEGACY_TOKEN_FILES)) {
+      const filePath = path.join(configDir, fileName);
+
+      if (!fs.existsSync(filePath)) {
+        continue;
+      }
+
+      try {
+        if (!this.has(key)) {
+          this.set(key, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        }
+        fs.unlinkSync(filePath);
+        console.log(`🔒 Moved ${fileName} into encrypted storage`);
+      } catch (error) {
+        console.error(`Failed to migrate ${fileName}:`, error.message);
+      }
+    }
+
+    const apiTokenStore = new Store({ name: 'api-tokens' });
+    const apiToken = apiTokenStore.get('auth');
+    if (apiToken) {
+      if (!this.has('api-token')) {
+        this.set('api-token', apiToken);
+      }
+      apiTokenStore.delete('auth');
+      console.log('🔒 Moved API token into encrypted storage');
+    }
+  }
+}
+
+const secrets = new Secrets();
+
+module.exports = secrets;
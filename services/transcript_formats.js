@@ -0,0 +1,167 @@
+// Builds transcripts from whisper.cpp's full JSON output. Used for the JSON
+// segments format, and for every format when speakers are labelled, since
+// whisper.cpp's own txt/srt/vtt writers can't carry our speaker names.
+
+/**
+ * Segments from whisper.cpp's full JSON (-ojf): start and end in seconds,
+ * text, and the mean token probability as confidence.
+ *
+ * diarization 'tinydiarize' reads speaker_turn_next (tdrz models) and
+ * alternates between two speakers; 'stereo' reads the per-segment speaker
+ * channel whisper.cpp estimates with -di. Speakers are "Speaker 1", "Speaker 2".
+ */
+function parseWhisperJson(raw, diarization = null) {
+  let speakerIndex = 0;
+
+  const segments = (raw.transcription || []).map(segment => {
+    // Skip special tokens such as [_BEG_], [_SOLM_] and timestamp tokens
+    const probabilities = (segment.tokens || [])
+      .filter(token => !/^\[_/.test(token.text) && typeof token.p === 'number')
+      .map(token => token.p);
+
+    const confidence = probabilities.length > 0
+      ? Math.round(probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length * 1000) / 1000
+      : null;
+
+    const parsed = {
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: segment.text.replace('[SPEAKER_TURN]', '').trim(),
+      confidence
+    };
+
+    if (diarization === 'stereo') {
+      // "?" means whisper couldn't tell; assume the previous speaker continues
+      const channel = parseInt(segment.speaker);
+      if (!Number.isNaN(channel)) {
+        speakerIndex = channel;
+      }
+      parsed.speaker = `Speaker ${speakerIndex + 1}`;
+    } else if (diarization === 'tinydiarize') {
+      parsed.speaker = `Speaker ${speakerIndex + 1}`;
+      if (segment.speaker_turn_next) {
+        speakerIndex = 1 - speakerIndex;
+      }
+    }
+
+    return parsed;
+  });
+
+  return {
+    language: (raw.result && raw.result.language) || null,
+    segments
+  };
+}
+
+// Names for Speaker 1 and Speaker 2, by who is heard first (or, with stereo
+// diarization, who is on the left channel)
+const SPEAKER_ROLES = {
+  interviewer: ['Interviewer', 'Candidate'],
+  candidate: ['Candidate', 'Interviewer']
+};
+
+/**
+ * Speaker name mapping for a firstSpeaker setting; empty keeps the
+ * "Speaker 1"/"Speaker 2" labels
+ */
+function getSpeakerNames(firstSpeaker) {
+  const roles = SPEAKER_ROLES[firstSpeaker];
+  return roles ? { 'Speaker 1': roles[0], 'Speaker 2': roles[1] } : {};
+}
+
+/**
+ * Replace "Speaker 1"/"Speaker 2" with names such as "Interviewer"
+ */
+function applySpeakerNames(transcript, speakerNames = {}) {
+  return {
+    ...transcript,
+    segments: transcript.segments.map(segment => (
+      segment.speaker && speakerNames[segment.speaker]
+        ? { ...segment, speaker: speakerNames[segment.speaker] }
+        : segment
+    ))
+  };
+}
+
+// 83.5 -> "00:01:23,500" (SRT) or "00:01:23.500" (VTT)
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Plain text. With speakers, consecutive segments from the same speaker are
+ * joined into one paragraph headed by their name.
+ */
+function toTxt(transcript) {
+  const paragraphs = [];
+
+  for (const segment of transcript.segments) {
+    const last = paragraphs[paragraphs.length - 1];
+
+    if (last && last.speaker === segment.speaker) {
+      last.text += ' ' + segment.text;
+    } else {
+      paragraphs.push({ speaker: segment.speaker, text: segment.text });
+    }
+  }
+
+  return paragraphs
+    .map(({ speaker, text }) => (speaker ? `${speaker}: ${text}` : text))
+    .join(transcript.segments.some(segment => segment.speaker) ? '\n\n' : '\n') + '\n';
+}
+
+function toSrt(transcript) {
+  return transcript.segments.map((segment, index) => [
+    index + 1,
+    `${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}`,
+    segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+// WebVTT has voice spans for speakers: <v Interviewer>text
+function toVtt(transcript) {
+  const cues = transcript.segments.map(segment => [
+    `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}`,
+    segment.speaker ? `<v ${segment.speaker}>${segment.text}` : segment.text
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function toJson(transcript) {
+  return JSON.stringify(transcript, null, 2);
+}
+
+const WRITERS = {
+  txt: toTxt,
+  srt: toSrt,
+  vtt: toVtt,
+  json: toJson
+};
+
+/**
+ * Render a transcript in one of the supported formats
+ */
+function render(format, transcript) {
+  const writer = WRITERS[format];
+
+  if (!writer) {
+    throw new Error(`Unsupported transcript format: ${format}`);
+  }
+
+  return writer(transcript);
+}
+
+module.exports = {
+  parseWhisperJson,
+  getSpeakerNames,
+  applySpeakerNames,
+  render
+};
@@ -1,10 +1,96 @@
 const path = require('path');
 const fs = require('fs');
 const { spawn } = require('child_process');
+const { parseWhisperJson, applySpeakerNames, render } = require('./transcript_formats');
 
 let whisperPath = null;
 let modelPath = null;
 
+// Transcript formats we can write. whisper.cpp only produces its full JSON
+// (segments with token probabilities); every format is rendered from that,
+// after the chunks have been stitched back together.
+const TRANSCRIPT_FORMATS = ['txt', 'srt', 'vtt', 'json'];
+
+const DEFAULT_FORMATS = ['txt'];
+
+// whisper.cpp flag for each speaker diarization mode. tinydiarize needs a
+// tdrz model (e.g. ggml-small.en-tdrz.bin); stereo needs each speaker on
+// their own audio channel.
+const DIARIZATION_FLAGS = {
+  tinydiarize: '--tinydiarize',
+  stereo: '--diarize'
+};
+
+// whisper.cpp prints this when run with -l auto
+const DETECTED_LANGUAGE_PATTERN = /auto-detected language: ([a-z]{2,3})/;
+
+// whisper.cpp prints each segment as "[00:01:02.500 --> 00:01:05.000] text"
+const SEGMENT_END_PATTERN = /--> (\d+):(\d+):(\d+)\.(\d+)\]/g;
+
+// Long recordings are split into chunks of about this length and
+// transcribed in parallel. Recordings shorter than one and a half chunks run
+// in one piece.
+const DEFAULT_CHUNK_SECONDS = 10 * 60;
+const DEFAULT_CHUNK_WORKERS = 2;
+
+// Cut points may move this far (as a share of the chunk length) to land in
+// a silence instead of mid-word
+const CUT_WINDOW = 0.25;
+
+// A pause this long and quiet counts as a silence
+const SILENCE_NOISE = '-35dB';
+const SILENCE_MIN_SECONDS = 0.5;
+
+/**
+ * whisper.cpp models (ggml-*.bin) in a directory, for the model picker
+ */
+function listModels(modelsDir) {
+  if (!modelsDir || !fs.existsSync(modelsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(modelsDir)
+    .filter(name => /^ggml-.*\.bin$/.test(name))
+    .sort()
+    .map(name => ({
+      name,
+      path: path.join(modelsDir, name),
+      sizeMB: Math.round(fs.statSync(path.join(modelsDir, name)).size / 1024 / 1024)
+    }));
+}
+
+/**
+ * Known formats from a list, in a stable order; the default when none remain
+ */
+function normalizeFormats(formats) {
+  const valid = TRANSCRIPT_FORMATS.filter(format => (formats || []).includes(format));
+  return valid.length > 0 ? valid : DEFAULT_FORMATS;
+}
+
+/**
+ * whisper.cpp sometimes writes next to the working directory instead of the
+ * -of path, so check the likely locations and move the file into place
+ */
+function collectOutputFile(expectedPath, outputDir) {
+  const possiblePaths = [
+    expectedPath,
+    path.join(outputDir, path.basename(expectedPath)),
+    path.join(process.cwd(), path.basename(expectedPath))
+  ];
+
+  const foundPath = possiblePaths.find(testPath => fs.existsSync(testPath));
+  if (!foundPath) {
+    return null;
+  }
+
+  if (foundPath !== expectedPath) {
+    fs.renameSync(foundPath, expectedPath);
+    console.log(`📦 Moved to: ${expectedPath}`);
+  }
+
+  return expectedPath;
+}
+
 async function initializeWhisper(whisperBinary, model) {
   try {
     whisperPath = whisperBinary;
@@ -31,175 +117,462 @@ async function initializeWhisper(whisperBinary, model) {
   }
 }
 
-async function transcribeVideo(videoPath, outputPath, onProgress = null) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      if (!whisperPath || !modelPath) {
-        throw new Error('Whisper not initialized');
-      }
+/**
+ * Run a child process to completion. onProcess receives it so the caller can
+ * kill it on cancel; onStdout / onStderr receive output as it arrives.
+ */
+function runProcess(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { cwd: options.cwd });
+
+    if (options.onProcess) {
+      options.onProcess(child);
+    }
 
-      console.log('🎤 Starting transcription:', videoPath);
+    let stderr = '';
 
-      // Ensure output directory exists
-      const outputDir = path.dirname(outputPath);
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
+    child.stdout.on('data', (data) => {
+      if (options.onStdout) {
+        options.onStdout(data.toString());
       }
+    });
 
-      // Convert video to WAV with audio enhancement
-      const wavPath = path.join(outputDir, 'temp_audio.wav');
-      console.log(' Converting and enhancing audio...');
-
-      const { exec } = require('child_process');
-
-      // Advanced audio preprocessing:
-      // 1. loudnorm = Normalize volume to standard level (-16 LUFS for speech)
-      // 2. highpass = Remove low-frequency rumble (<200Hz)
-      // 3. lowpass = Remove high-frequency noise (>8000Hz, full speech range)
-      // 4. afftdn = Adaptive noise reduction
-      const ffmpegCmd = `ffmpeg -i "${videoPath}" -vn ` +
-        `-af "loudnorm=I=-16:TP=-1.5:LRA=11,` +
-        `highpass=f=80,` +
-        `lowpass=f=8000,` +
-        `afftdn=nf=-25" ` +
-        `-acodec pcm_s16le -ar 16000 -ac 1 "${wavPath}" -y`;
-
-      await new Promise((res, rej) => {
-        exec(ffmpegCmd, (error, stdout, stderr) => {
-          if (error) {
-            console.error('FFmpeg error:', stderr);
-            rej(new Error(`FFmpeg conversion failed: ${error.message}`));
-          } else {
-            const stats = fs.statSync(wavPath);
-            console.log(`✅ Audio enhanced (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
-            if (stats.size < 1000) {
-              rej(new Error('WAV file too small - audio extraction may have failed'));
-            }
-            res();
-          }
-        });
-      });
+    child.stderr.on('data', (data) => {
+      const output = data.toString();
+      stderr += output;
+
+      if (options.onStderr) {
+        options.onStderr(output);
+      }
+    });
 
-      const inputFile = wavPath;
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve({ stderr });
+      } else {
+        reject(new Error(`${path.basename(command)} exited with code ${code}\n${stderr.slice(-500)}`));
+      }
+    });
 
-      // whisper.cpp command
-      // Remove extension for -of flag as whisper.cpp adds it automatically
-      const outputBase = outputPath.endsWith('.txt')
-        ? outputPath.slice(0, -4)
-        : outputPath;
+    child.on('error', (err) => {
+      reject(new Error(`Failed to start ${path.basename(command)}: ${err.message}`));
+    });
+  });
+}
 
-      console.log('📂 Output base:', outputBase);
-      console.log('📂 Output dir:', outputDir);
+/**
+ * Convert a video to 16 kHz WAV with audio enhancement:
+ * 1. loudnorm = Normalize volume to standard level (-16 LUFS for speech)
+ * 2. highpass = Remove low-frequency rumble (<80Hz)
+ * 3. lowpass = Remove high-frequency noise (>8000Hz, full speech range)
+ * 4. afftdn = Adaptive noise reduction
+ */
+async function extractAudio(videoPath, wavPath, channels, onProcess) {
+  console.log(' Converting and enhancing audio...');
+
+  await runProcess('ffmpeg', [
+    '-i', videoPath,
+    '-vn',
+    '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11,highpass=f=80,lowpass=f=8000,afftdn=nf=-25',
+    '-acodec', 'pcm_s16le',
+    '-ar', '16000',
+    '-ac', String(channels),
+    wavPath,
+    '-y'
+  ], { onProcess }).catch((error) => {
+    throw new Error(`FFmpeg conversion failed: ${error.message}`);
+  });
 
-      const args = [
-        '-m', modelPath,
-        '-f', inputFile,
-        '-of', outputBase,
-        '-l', 'en',
-        '--output-txt',
-        '-t', '4',  // Reduced threads for better quality
-        '--no-timestamps'
-      ];
+  const stats = fs.statSync(wavPath);
+  console.log(`✅ Audio enhanced (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
 
-      console.log('🎯 Whisper command:', whisperPath, args.join(' '));
+  if (stats.size < 1000) {
+    throw new Error('WAV file too small - audio extraction may have failed');
+  }
+}
 
-      const whisperProcess = spawn(whisperPath, args, {
-        cwd: outputDir // Set working directory
-      });
+/**
+ * Length of a PCM WAV in seconds, from its byte rate header field
+ */
+function getWavDuration(wavPath) {
+  const header = Buffer.alloc(44);
+  const fd = fs.openSync(wavPath, 'r');
 
-      let stderr = '';
+  try {
+    fs.readSync(fd, header, 0, 44, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
 
-      whisperProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        stderr += output;
+  const byteRate = header.readUInt32LE(28);
+  return byteRate > 0 ? (fs.statSync(wavPath).size - 44) / byteRate : 0;
+}
 
-        // Parse progress if available
-        if (onProgress) {
-          const progressMatch = output.match(/\[(\d+)%\]/);
-          if (progressMatch) {
-            onProgress(parseInt(progressMatch[1]));
-          }
+/**
+ * Silences in a WAV as [{ start, end }] in seconds, from ffmpeg's silencedetect
+ */
+async function detectSilences(wavPath, onProcess) {
+  const silences = [];
+  let silenceStart = null;
+
+  await runProcess('ffmpeg', [
+    '-i', wavPath,
+    '-af', `silencedetect=noise=${SILENCE_NOISE}:d=${SILENCE_MIN_SECONDS}`,
+    '-f', 'null',
+    '-'
+  ], {
+    onProcess,
+    onStderr: (output) => {
+      for (const line of output.split('\n')) {
+        const startMatch = line.match(/silence_start: ([\d.]+)/);
+        const endMatch = line.match(/silence_end: ([\d.]+)/);
+
+        if (startMatch) {
+          silenceStart = parseFloat(startMatch[1]);
+        } else if (endMatch && silenceStart !== null) {
+          silences.push({ start: silenceStart, end: parseFloat(endMatch[1]) });
+          silenceStart = null;
         }
+      }
+    }
+  });
 
-        console.log(output.trim());
-      });
+  return silences;
+}
 
-      whisperProcess.on('close', (code) => {
-        if (code === 0) {
-          console.log('✅ Transcription complete');
-
-          // Whisper.cpp adds .txt extension automatically
-          const actualOutputPath = outputPath.endsWith('.txt')
-            ? outputPath
-            : outputPath + '.txt';
-
-          // Wait a bit for file to be written
-          setTimeout(() => {
-            // Check multiple possible locations
-            const possiblePaths = [
-              actualOutputPath,
-              path.join(outputDir, path.basename(actualOutputPath)),
-              path.join(process.cwd(), path.basename(actualOutputPath))
-            ];
-
-            console.log('🔍 Checking for transcript in:');
-            possiblePaths.forEach(p => console.log('  -', p));
-
-            let foundPath = null;
-            for (const testPath of possiblePaths) {
-              if (fs.existsSync(testPath)) {
-                foundPath = testPath;
-                break;
-              }
-            }
-
-            if (foundPath) {
-              const transcriptText = fs.readFileSync(foundPath, 'utf8');
-              console.log(`📄 Transcript found: ${foundPath} (${transcriptText.length} chars)`);
-
-              // Move to expected location if different
-              if (foundPath !== actualOutputPath) {
-                fs.renameSync(foundPath, actualOutputPath);
-                console.log(`📦 Moved to: ${actualOutputPath}`);
-              }
-
-              // Clean up temp WAV file
-              if (fs.existsSync(wavPath)) {
-                fs.unlinkSync(wavPath);
-                console.log('🗑️ Cleaned up temp WAV file');
-              }
-
-              resolve({
-                success: true,
-                transcriptPath: actualOutputPath,
-                text: transcriptText
-              });
-            } else {
-              console.error(`❌ Transcript file not found in any location`);
-              // Clean up temp WAV file
-              if (fs.existsSync(wavPath)) {
-                fs.unlinkSync(wavPath);
-              }
-              reject(new Error(`Transcript file not created at: ${actualOutputPath}`));
-            }
-          }, 1000);
-        } else {
-          reject(new Error(`Whisper exited with code ${code}\n${stderr.slice(-500)}`));
+/**
+ * Split [0, duration] into chunks of about chunkSeconds, moving each cut to
+ * the middle of the nearest silence within the cut window
+ */
+function planChunks(duration, silences, chunkSeconds) {
+  const cuts = [];
+  let start = 0;
+
+  while (duration - start > chunkSeconds * 1.5) {
+    const target = start + chunkSeconds;
+    let cut = target;
+    let bestDistance = chunkSeconds * CUT_WINDOW;
+
+    for (const silence of silences) {
+      const middle = (silence.start + silence.end) / 2;
+      const distance = Math.abs(middle - target);
+
+      if (distance <= bestDistance) {
+        cut = middle;
+        bestDistance = distance;
+      }
+    }
+
+    cuts.push(cut);
+    start = cut;
+  }
+
+  const bounds = [0, ...cuts, duration];
+  return bounds.slice(0, -1).map((chunkStart, index) => ({
+    index,
+    start: chunkStart,
+    end: bounds[index + 1]
+  }));
+}
+
+/**
+ * Run worker over items with at most `limit` running at once. Stops
+ * handing out items after the first failure.
+ */
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  async function runWorker() {
+    while (!failed && next < items.length) {
+      const index = next++;
+
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+}
+
+/**
+ * Transcribe one WAV with whisper.cpp into its full JSON output. onSeconds
+ * receives how far into the audio whisper has got.
+ */
+async function runWhisper(wavPath, outputBase, settings, callbacks) {
+  const args = [
+    '-m', settings.model,
+    '-f', wavPath,
+    '-of', outputBase,
+    '-l', settings.language,
+    '--output-json-full',
+    '-t', String(settings.threads)
+  ];
+
+  // Wider beam search / more candidates: slower, usually more accurate
+  if (settings.beamSize) {
+    args.push('-bs', String(settings.beamSize));
+  }
+  if (settings.bestOf) {
+    args.push('-bo', String(settings.bestOf));
+  }
+  if (settings.diarization) {
+    args.push(DIARIZATION_FLAGS[settings.diarization]);
+  }
+
+  console.log('🎯 Whisper command:', whisperPath, args.join(' '));
+
+  let detectedLanguage = null;
+
+  await runProcess(whisperPath, args, {
+    cwd: path.dirname(outputBase),
+    onProcess: callbacks.onProcess,
+    onStdout: (output) => {
+      for (const match of output.matchAll(SEGMENT_END_PATTERN)) {
+        const [, hours, minutes, seconds, ms] = match.map(Number);
+        callbacks.onSeconds(hours * 3600 + minutes * 60 + seconds + ms / 1000);
+      }
+    },
+    onStderr: (output) => {
+      const languageMatch = output.match(DETECTED_LANGUAGE_PATTERN);
+      if (languageMatch) {
+        detectedLanguage = languageMatch[1];
+      }
+    }
+  }).catch((error) => {
+    throw new Error(`Whisper failed: ${error.message}`);
+  });
+
+  const jsonPath = collectOutputFile(`${outputBase}.json`, path.dirname(outputBase));
+  if (!jsonPath) {
+    throw new Error(`Transcript file not created at: ${outputBase}.json`);
+  }
+
+  return {
+    raw: JSON.parse(fs.readFileSync(jsonPath, 'utf8')),
+    detectedLanguage
+  };
+}
+
+/**
+ * Join per-chunk whisper output into one, shifting segment offsets by each
+ * chunk's start so timestamps match the full recording
+ */
+function stitchChunks(chunks, results) {
+  const transcription = [];
+
+  results.forEach(({ raw }, index) => {
+    const offset = Math.round(chunks[index].start * 1000);
+
+    for (const segment of raw.transcription || []) {
+      transcription.push({
+        ...segment,
+        offsets: {
+          from: segment.offsets.from + offset,
+          to: segment.offsets.to + offset
         }
       });
+    }
+  });
 
-      whisperProcess.on('error', (err) => {
-        reject(new Error(`Failed to start Whisper: ${err.message}`));
+  return {
+    result: results[0] && results[0].raw.result,
+    transcription
+  };
+}
+
+// The language most chunks were detected as
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values.filter(Boolean)) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([value]) => value)[0] || null;
+}
+
+/**
+ * Transcribe a video with whisper.cpp. Long recordings are split on
+ * silences and the chunks transcribed in parallel (options.chunkSeconds,
+ * options.chunkWorkers), then stitched back together; with tinydiarize they
+ * run in one piece. onProgress receives
+ * the share of the audio transcribed so far across all chunks.
+ *
+ * options.formats lists the transcript formats to write (txt, srt, vtt,
+ * json); options.primaryFormat picks the one returned as transcriptPath. All
+ * are in transcriptPaths.
+ *
+ * options.language ('auto' to let whisper detect it), options.modelPath,
+ * options.threads, options.beamSize and options.bestOf override the
+ * defaults. The result's language is the detected one when auto-detecting.
+ *
+ * options.diarization ('tinydiarize' or 'stereo') labels speaker turns in
+ * every format; options.speakerNames maps "Speaker 1" etc. to names.
+ */
+async function transcribeVideo(videoPath, outputPath, onProgress = null, options = {}) {
+  if (!whisperPath || !modelPath) {
+    throw new Error('Whisper not initialized');
+  }
+
+  const model = options.modelPath || modelPath;
+  if (!fs.existsSync(model)) {
+    throw new Error(`Whisper model not found at: ${model}`);
+  }
+
+  const language = options.language || 'en';
+  if (language !== 'en' && /\.en\.bin$/.test(model)) {
+    console.warn(`⚠️ ${path.basename(model)} is English-only; "${language}" audio needs a multilingual model`);
+  }
+
+  const diarization = DIARIZATION_FLAGS[options.diarization] ? options.diarization : null;
+  if (diarization === 'tinydiarize' && !/tdrz/.test(path.basename(model))) {
+    console.warn(`⚠️ ${path.basename(model)} is not a tinydiarize model; speaker turns won't be detected`);
+  }
+
+  const formats = normalizeFormats(options.formats);
+  const primaryFormat = formats.includes(options.primaryFormat) ? options.primaryFormat : formats[0];
+  const chunkSeconds = options.chunkSeconds || DEFAULT_CHUNK_SECONDS;
+  const chunkWorkers = options.chunkWorkers || DEFAULT_CHUNK_WORKERS;
+
+  // Remove extension; each format adds its own
+  const outputBase = outputPath.endsWith('.txt') ? outputPath.slice(0, -4) : outputPath;
+  // Scratch files (audio, chunks, raw whisper output) go in options.workDir,
+  // which is deleted afterwards
+  const workDir = options.workDir || `${outputBase}_work`;
+  fs.mkdirSync(workDir, { recursive: true });
+
+  // Every process is tracked so a failed chunk can stop the others
+  const running = new Set();
+  let failed = false;
+  const trackProcess = (child) => {
+    if (failed) {
+      child.kill();
+      return;
+    }
+    running.add(child);
+    child.on('close', () => running.delete(child));
+    if (options.onProcess) {
+      options.onProcess(child);
+    }
+  };
+
+  try {
+    console.log('🎤 Starting transcription:', videoPath);
+
+    const wavPath = path.join(workDir, 'audio.wav');
+    // Stereo diarization tells speakers apart by channel, so keep both
+    await extractAudio(videoPath, wavPath, diarization === 'stereo' ? 2 : 1, trackProcess);
+
+    const duration = getWavDuration(wavPath);
+
+    // tinydiarize only marks turns it hears inside one run, and cuts land in
+    // pauses where speakers usually change, so a missed turn at a cut would
+    // swap every later label. Stereo labels come from the channel, so those
+    // recordings can still be chunked.
+    const chunked = diarization !== 'tinydiarize' && duration > chunkSeconds * 1.5;
+    const silences = chunked ? await detectSilences(wavPath, trackProcess) : [];
+    const chunks = chunked
+      ? planChunks(duration, silences, chunkSeconds)
+      : [{ index: 0, start: 0, end: duration }];
+    const workers = Math.min(chunkWorkers, chunks.length);
+
+    console.log(`✂️ ${Math.round(duration / 60)} min of audio in ${chunks.length} chunk(s), ${workers} at a time`);
+
+    // Share the thread budget between parallel whisper runs
+    const settings = {
+      model,
+      language,
+      diarization,
+      threads: Math.max(1, Math.floor((options.threads || 4) / workers)),
+      beamSize: options.beamSize,
+      bestOf: options.bestOf
+    };
+
+    // Seconds of audio transcribed per chunk, summed for overall progress
+    const transcribed = chunks.map(() => 0);
+    const reportProgress = () => {
+      if (onProgress && duration > 0) {
+        const total = transcribed.reduce((sum, seconds) => sum + seconds, 0);
+        onProgress(Math.min(100, Math.floor((total / duration) * 100)));
+      }
+    };
+
+    const results = await runPool(chunks, workers, async (chunk) => {
+      const chunkDuration = chunk.end - chunk.start;
+      let chunkWav = wavPath;
+
+      if (chunks.length > 1) {
+        chunkWav = path.join(workDir, `chunk_${chunk.index}.wav`);
+        await runProcess('ffmpeg', [
+          '-ss', String(chunk.start),
+          '-t', String(chunkDuration),
+          '-i', wavPath,
+          '-c', 'copy',
+          chunkWav,
+          '-y'
+        ], { onProcess: trackProcess });
+      }
+
+      const result = await runWhisper(chunkWav, path.join(workDir, `chunk_${chunk.index}`), settings, {
+        onProcess: trackProcess,
+        onSeconds: (seconds) => {
+          transcribed[chunk.index] = Math.min(seconds, chunkDuration);
+          reportProgress();
+        }
       });
 
-    } catch (error) {
-      console.error('❌ Transcription failed:', error);
-      reject(error);
+      transcribed[chunk.index] = chunkDuration;
+      reportProgress();
+      console.log(`✅ Chunk ${chunk.index + 1}/${chunks.length} transcribed`);
+
+      return result;
+    });
+
+    console.log('✅ Transcription complete');
+
+    const raw = stitchChunks(chunks, results);
+    const transcript = applySpeakerNames(parseWhisperJson(raw, diarization), options.speakerNames);
+
+    const transcriptPaths = {};
+    for (const format of formats) {
+      transcriptPaths[format] = `${outputBase}.${format}`;
+      fs.writeFileSync(transcriptPaths[format], render(format, transcript));
+      console.log(`📄 ${format.toUpperCase()} transcript: ${transcriptPaths[format]}`);
     }
-  });
+
+    return {
+      success: true,
+      transcriptPath: transcriptPaths[primaryFormat],
+      transcriptPaths,
+      primaryFormat,
+      // Spoken language, as detected by whisper when auto-detecting
+      language: mostCommon(results.map(result => result.detectedLanguage)) ||
+        transcript.language ||
+        (language === 'auto' ? null : language),
+      text: render('txt', transcript)
+    };
+  } catch (error) {
+    failed = true;
+    for (const child of running) {
+      child.kill();
+    }
+
+    console.error('❌ Transcription failed:', error.message);
+    throw error;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    console.log('🗑️ Cleaned up temporary audio');
+  }
 }
 
 module.exports = {
   initializeWhisper,
-  transcribeVideo
+  transcribeVideo,
+  listModels,
+  TRANSCRIPT_FORMATS
 };
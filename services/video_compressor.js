@@ -266,6 +266,11 @@ async function compressVideo(inputPath, outputPath, options = {}) {
       const startTime = Date.now();
       const ffmpeg = spawn('ffmpeg', ffmpegArgs);
 
+      // Let the caller track the process so it can be killed on cancel
+      if (options.onProcess) {
+        options.onProcess(ffmpeg);
+      }
+
       let lastProgress = 0;
 
       ffmpeg.stderr.on('data', (data) => {
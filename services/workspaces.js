@@ -0,0 +1,127 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+// Scratch space for queue items: extracted audio and transcription chunks.
+// Each item gets its own directory so concurrent jobs never share files.
+const DEFAULT_ROOT = path.join(os.tmpdir(), 'interview-uploader-work');
+
+// Large outputs such as compressed videos are written next to their final
+// path as name.partial.ext instead, so finishing them is a rename on the
+// same drive rather than a multi-GB copy out of the temp directory
+const PARTIAL_PATTERN = /\.partial\.[^.]+$/;
+
+class WorkspaceManager {
+  constructor() {
+    this.root = DEFAULT_ROOT;
+    // itemId -> directory, for workspaces created by this run
+    this.active = new Map();
+  }
+
+  /**
+   * Create (or reuse) the workspace for a queue item
+   */
+  create(itemId) {
+    const dir = path.join(this.root, String(itemId));
+    fs.mkdirSync(dir, { recursive: true });
+    this.active.set(itemId, dir);
+    return dir;
+  }
+
+  get(itemId) {
+    return this.active.get(itemId) || null;
+  }
+
+  /**
+   * Delete an item's workspace and everything left in it
+   */
+  remove(itemId) {
+    const dir = this.active.get(itemId) || path.join(this.root, String(itemId));
+
+    try {
+      fs.rmSync(dir, { recursive: true, force: true });
+    } catch (error) {
+      console.error('⚠️ Could not remove workspace:', dir, error.message);
+    }
+
+    this.active.delete(itemId);
+  }
+
+  /**
+   * Delete workspaces this run didn't create, i.e. ones left behind by a
+   * crash. Called on startup before the queue resumes.
+   */
+  sweep() {
+    if (!fs.existsSync(this.root)) {
+      return 0;
+    }
+
+    const activeDirs = new Set(this.active.values());
+    let removed = 0;
+
+    for (const name of fs.readdirSync(this.root)) {
+      const dir = path.join(this.root, name);
+
+      if (activeDirs.has(dir)) {
+        continue;
+      }
+
+      try {
+        fs.rmSync(dir, { recursive: true, force: true });
+        removed++;
+      } catch (error) {
+        console.error('⚠️ Could not remove orphaned workspace:', dir, error.message);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} orphaned workspace(s)`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Working path for an output file: video.mp4 -> video.partial.mp4, keeping
+   * the extension so ffmpeg still picks the right container
+   */
+  partialPath(finalPath) {
+    const extension = path.extname(finalPath);
+    return `${finalPath.slice(0, finalPath.length - extension.length)}.partial${extension}`;
+  }
+
+  /**
+   * Delete partial outputs left in a storage directory by a crash, except
+   * the paths in keep (still being written)
+   */
+  sweepPartials(dir, keep = []) {
+    if (!dir || !fs.existsSync(dir)) {
+      return 0;
+    }
+
+    let removed = 0;
+
+    for (const name of fs.readdirSync(dir).filter(name => PARTIAL_PATTERN.test(name))) {
+      if (keep.includes(path.join(dir, name))) {
+        continue;
+      }
+
+      try {
+        fs.unlinkSync(path.join(dir, name));
+        removed++;
+      } catch (error) {
+        console.error('⚠️ Could not remove partial file:', name, error.message);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} partial file(s) from ${dir}`);
+    }
+
+    return removed;
+  }
+}
+
+const workspaces = new WorkspaceManager();
+
+module.exports = workspaces;
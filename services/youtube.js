@@ -7,26 +7,41 @@
 
 const { google } = require('googleapis');
 const fs = require('fs');
+const path = require('path');
+const { resumableUpload } = require('./resumable_upload');
+const { classifyError } = require('./retry_policy');
+const { createClient, hasScopes } = require('./google_auth');
+
+const YOUTUBE_UPLOAD_URL = 'https://www.googleapis.com/upload/youtube/v3/videos?uploadType=resumable&part=snippet,status';
 
 let youtube = null;
 let auth = null;
 
-async function authenticate(credentials, tokens) {
+const SCOPES = [
+  'https://www.googleapis.com/auth/youtube.upload',
+  'https://www.googleapis.com/auth/youtube'
+];
+
+// Requested at sign-in for caption tracks, but not required: accounts
+// authorized before captions existed can still upload videos
+const OPTIONAL_SCOPES = [
+  'https://www.googleapis.com/auth/youtube.force-ssl'
+];
+
+const CAPTION_MIME_TYPES = {
+  '.srt': 'application/x-subrip',
+  '.vtt': 'text/vtt'
+};
+
+/**
+ * Create the OAuth client for uploads. options.onTokens is called with the
+ * full credentials whenever the client refreshes its access token, so the
+ * caller can persist them.
+ */
+async function authenticate(credentials, tokens, options = {}) {
   try {
-    const { client_id, client_secret, redirect_uris } = credentials.installed || credentials.web;
-    
-    const oAuth2Client = new google.auth.OAuth2(
-      client_id,
-      client_secret,
-      redirect_uris[0]
-    );
-    
-    if (tokens) {
-      oAuth2Client.setCredentials(tokens);
-    }
-    
-    auth = oAuth2Client;
-    youtube = google.youtube({ version: 'v3', auth });
+    const oAuth2Client = createClient(credentials, tokens, options);
+    setAuthClient(oAuth2Client);
     
     return { success: true, auth: oAuth2Client };
   } catch (error) {
@@ -35,14 +50,27 @@ async function authenticate(credentials, tokens) {
   }
 }
 
-async function uploadToYouTube(filePath, fileName, companyName) {
+/**
+ * Use an OAuth client created elsewhere, e.g. one consent shared with Drive.
+ * Passing null signs YouTube out.
+ */
+function setAuthClient(oAuth2Client) {
+  auth = oAuth2Client;
+  youtube = oAuth2Client ? google.youtube({ version: 'v3', auth }) : null;
+}
+
+/**
+ * Upload a video in resumable chunks. options.session / options.onSession let
+ * the caller persist the session URI so a retry or app restart continues
+ * from the last confirmed byte; options.onProgress receives byte counts,
+ * throughput and ETA.
+ */
+async function uploadToYouTube(filePath, fileName, companyName, options = {}) {
   try {
     if (!youtube) {
       throw new Error('YouTube not authenticated');
     }
     
-    const fileSize = fs.statSync(filePath).size;
-    
     // Video metadata
     const videoTitle = fileName
       .replace(/\.mp4$/i, '')
@@ -66,15 +94,19 @@ async function uploadToYouTube(filePath, fileName, companyName) {
     console.log(`Uploading to YouTube: ${fileName}`);
     
     // Upload video
-    const response = await youtube.videos.insert({
-      part: 'snippet,status',
-      requestBody: videoMetadata,
-      media: {
-        body: fs.createReadStream(filePath)
-      }
+    const video = await resumableUpload({
+      initUrl: YOUTUBE_UPLOAD_URL,
+      auth,
+      filePath,
+      metadata: videoMetadata,
+      mimeType: 'video/*',
+      session: options.session,
+      onSession: options.onSession,
+      onProgress: options.onProgress,
+      signal: options.signal // Aborts the request when the queue item is cancelled
     });
     
-    const videoId = response.data.id;
+    const videoId = video.id;
     const youtubeUrl = `https://www.youtube.com/watch?v=${videoId}`;
     
     console.log(`YouTube upload complete: ${youtubeUrl}`);
@@ -82,11 +114,54 @@ async function uploadToYouTube(filePath, fileName, companyName) {
     return youtubeUrl;
     
   } catch (error) {
-    throw new Error(`YouTube upload failed: ${error.message}`);
+    // Keep the original error as the cause so the retry policy can classify it
+    throw new Error(`YouTube upload failed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Whether the signed-in account granted the scope needed for captions
+ */
+function canUploadCaptions() {
+  return Boolean(auth) && hasScopes(auth.credentials, OPTIONAL_SCOPES);
+}
+
+/**
+ * Add a caption track to an uploaded video. Tracks go up as drafts, so like
+ * the video they are only visible to the channel owner.
+ */
+async function uploadCaptions(videoId, filePath, language, options = {}) {
+  try {
+    if (!youtube) {
+      throw new Error('YouTube not authenticated');
+    }
+
+    const response = await youtube.captions.insert({
+      part: 'snippet',
+      requestBody: {
+        snippet: {
+          videoId,
+          language,
+          name: options.name || 'Transcript',
+          isDraft: true
+        }
+      },
+      media: {
+        mimeType: CAPTION_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        body: fs.createReadStream(filePath)
+      }
+    }, { signal: options.signal });
+
+    console.log(`YouTube captions added to ${videoId} (${language})`);
+
+    return response.data.id;
+  } catch (error) {
+    // Keep the original error as the cause so the retry policy can classify it
+    throw new Error(`Caption upload failed: ${error.message}`, { cause: error });
   }
 }
 
-async function getAuthUrl(credentials) {
+async function getAuthUrl(credentials, scopes = [...SCOPES, ...OPTIONAL_SCOPES]) {
   const { client_id, client_secret, redirect_uris } = credentials.installed || credentials.web;
   
   const oAuth2Client = new google.auth.OAuth2(
@@ -97,10 +172,7 @@ async function getAuthUrl(credentials) {
   
   const authUrl = oAuth2Client.generateAuthUrl({
     access_type: 'offline',
-    scope: [
-      'https://www.googleapis.com/auth/youtube.upload',
-      'https://www.googleapis.com/auth/youtube'
-    ]
+    scope: scopes
   });
   
   return { authUrl, oAuth2Client };
@@ -111,9 +183,39 @@ async function getTokenFromCode(oAuth2Client, code) {
   return tokens;
 }
 
+/**
+ * Pre-flight check that the saved credentials still work. valid is false when
+ * the token was revoked or never granted, and null when the check itself
+ * could not reach Google (e.g. offline).
+ */
+async function checkAuth() {
+  if (!youtube) {
+    return { valid: false, revoked: false, error: 'YouTube not authenticated' };
+  }
+
+  try {
+    await youtube.channels.list({ part: 'id', mine: true });
+    return { valid: true };
+  } catch (error) {
+    const errorType = classifyError(error);
+
+    if (errorType === 'auth') {
+      return { valid: false, revoked: true, error: error.message };
+    }
+
+    return { valid: null, error: error.message };
+  }
+}
+
 module.exports = {
   authenticate,
+  setAuthClient,
+  checkAuth,
   getAuthUrl,
   getTokenFromCode,
-  uploadToYouTube
+  SCOPES,
+  OPTIONAL_SCOPES,
+  uploadToYouTube,
+  uploadCaptions,
+  canUploadCaptions
 };